@@ -1,14 +1,28 @@
 /**
  * Weather Widget
  *
- * Fetches current weather data from either:
+ * Fetches current weather data from one of:
  * - DHMZ (Croatian Meteorological Service) - official stations
  * - pljusak.com - amateur weather station network
+ * - ARSO (Slovenian Environment Agency) - official Slovenian stations
+ * - DHMZ and pljusak.com combined into one station list
  *
- * Source can be switched via the UI toggle in the top-left corner.
+ * Source can be switched via the UI picker in the top-left corner.
  * Source preference is saved to localStorage.
+ *
+ * Parsing and other DOM-free logic lives in lib/ as ES modules, tested with
+ * `npm test` (see test/).
  */
 
+import { FetchError } from './lib/errors.js';
+import { STATION_TIME_ZONE, formatClockTime } from './lib/time.js';
+import { DhmzParser } from './lib/dhmz.js';
+import { PljusakParser } from './lib/pljusak.js';
+import { ArsoParser } from './lib/arso.js';
+import { haversineDistance, parseWindDirection, findNearestStation } from './lib/geo.js';
+import { parseStationName, STATION_CLASSES, filterStations } from './lib/stations.js';
+import { withoutSuspect } from './lib/quality.js';
+
 // =============================================================================
 // DATA SOURCE CONFIGURATION
 // =============================================================================
@@ -16,24 +30,28 @@
 /** LocalStorage key for source preference */
 const SOURCE_KEY = 'weather-source';
 
+/** Sources offered by SourceSwitcher, in menu order (keys of DATA_SOURCES) */
+const PICKABLE_SOURCES = ['dhmz', 'pljusak', 'both', 'arso'];
+
 /**
  * Get saved source from localStorage, with URL override for backwards compatibility.
- * @returns {'dhmz' | 'pljusak'}
+ * The fixture source is only ever selected through the URL.
+ * @returns {'dhmz' | 'pljusak' | 'both' | 'arso' | 'fixture'}
  */
 function getSavedSource() {
     // URL parameter overrides localStorage (for backwards compatibility)
     const urlSource = new URLSearchParams(window.location.search).get('source');
-    if (urlSource === 'pljusak' || urlSource === 'dhmz') {
+    if (PICKABLE_SOURCES.includes(urlSource) || urlSource === 'fixture') {
         return urlSource;
     }
     // Otherwise use localStorage, defaulting to 'dhmz'
     const saved = localStorage.getItem(SOURCE_KEY);
-    return saved === 'pljusak' ? 'pljusak' : 'dhmz';
+    return PICKABLE_SOURCES.includes(saved) ? saved : 'dhmz';
 }
 
 /**
  * Save source preference to localStorage.
- * @param {'dhmz' | 'pljusak'} source
+ * @param {'dhmz' | 'pljusak' | 'both' | 'arso'} source
  */
 function saveSource(source) {
     localStorage.setItem(SOURCE_KEY, source);
@@ -44,13 +62,25 @@ let DATA_SOURCE = getSavedSource();
 
 /**
  * Data source configurations.
- * Each source has a parser object (DhmzParser or PljusakParser) that handles
- * parsing the response and formatting measurement times.
+ * Each source has a parser object (DhmzParser, PljusakParser or ArsoParser) that handles
+ * parsing the response and formatting measurement times. Data is fetched
+ * through ProxyChain unless the source names another fetcher.
  */
 const DATA_SOURCES = {
     dhmz: {
         url: 'https://vrijeme.hr/hrvatska1_n.xml',
         locationKey: 'dhmz-location',
+        favoritesKey: 'dhmz-favorites',
+        snapshotKey: 'dhmz-snapshot',
+        // Hourly terms, usually published about half an hour after the hour
+        refresh: {
+            publishIntervalMs: 60 * 60 * 1000,
+            publishDelayMs: 30 * 60 * 1000,
+            pollIntervalMs: 5 * 60 * 1000,
+            maxPollIntervalMs: 30 * 60 * 1000
+        },
+        // Route on the self-hosted proxy (proxy/src/main.rs)
+        proxyPath: 'dhmz',
         // Station name uses hyphen separator (e.g., "Zagreb-Grič")
         nameSeparator: '-',
         // Only split these city prefixes (others like "Bilogora-Bjelovar" stay as-is)
@@ -64,27 +94,130 @@ const DATA_SOURCES = {
             'Zagreb',
         ],
         label: 'DHMZ',
-        get parser() { return DhmzParser; },
+        parser: DhmzParser,
     },
     pljusak: {
         url: 'https://pljusak.com/karta.php',
         locationKey: 'pljusak-location',
+        favoritesKey: 'pljusak-favorites',
+        snapshotKey: 'pljusak-snapshot',
+        // Stations upload every 5-15 minutes, so some station is always fresh
+        refresh: {
+            publishIntervalMs: 5 * 60 * 1000,
+            publishDelayMs: 60 * 1000,
+            pollIntervalMs: 2 * 60 * 1000,
+            maxPollIntervalMs: 15 * 60 * 1000
+        },
+        proxyPath: 'pljusak',
         // Station name uses comma separator (e.g., "Zagreb, Podsused")
         nameSeparator: ', ',
         // null = always split on separator (all pljusak names with comma are "City, Location")
         cityPrefixes: null,
         label: 'pljusak',
-        get parser() { return PljusakParser; },
+        parser: PljusakParser,
+    },
+    both: {
+        locationKey: 'both-location',
+        favoritesKey: 'both-favorites',
+        snapshotKey: 'both-snapshot',
+        // pljusak updates far more often than DHMZ, so refresh on its schedule
+        get refresh() { return DATA_SOURCES.pljusak.refresh; },
+        // Stations keep their own source's naming and time format (see getStationSourceConfig)
+        label: 'DHMZ + pljusak',
+        get fetcher() { return CombinedSource; },
+    },
+    arso: {
+        url: 'https://meteo.arso.gov.si/uploads/probase/www/observ/surface/text/sl/observationAms_si_latest.xml',
+        locationKey: 'arso-location',
+        favoritesKey: 'arso-favorites',
+        snapshotKey: 'arso-snapshot',
+        // Automatic stations report every half hour, published within minutes
+        refresh: {
+            publishIntervalMs: 30 * 60 * 1000,
+            publishDelayMs: 10 * 60 * 1000,
+            pollIntervalMs: 5 * 60 * 1000,
+            maxPollIntervalMs: 30 * 60 * 1000
+        },
+        proxyPath: 'arso',
+        // Station name uses spaced hyphen separator (e.g., "Maribor - letališče")
+        nameSeparator: ' - ',
+        cityPrefixes: null,
+        label: 'ARSO',
+        parser: ArsoParser,
     }
 };
 
+/**
+ * Live source whose recorded payloads the fixture source replays
+ * (?replay=pljusak or ?replay=arso, DHMZ by default). Also names the manifest in fixtures/.
+ */
+const REPLAY_SOURCE = PICKABLE_SOURCES.find(source =>
+    source === new URLSearchParams(window.location.search).get('replay') && DATA_SOURCES[source].parser) ?? 'dhmz';
+
+// Recorded payloads from fixtures/ (?source=fixture), for development and demos; see Replay
+DATA_SOURCES.fixture = {
+    ...DATA_SOURCES[REPLAY_SOURCE],
+    url: `fixtures/${REPLAY_SOURCE}.json`,
+    locationKey: 'fixture-location',
+    favoritesKey: 'fixture-favorites',
+    // A replay starts over on every load, so there's no snapshot to show first
+    snapshotKey: null,
+    // Step to the next recording every minute
+    refresh: {
+        publishIntervalMs: 60 * 1000,
+        publishDelayMs: 0,
+        pollIntervalMs: 60 * 1000,
+        maxPollIntervalMs: 60 * 1000
+    },
+    label: `${DATA_SOURCES[REPLAY_SOURCE].label} (fixture)`,
+    get fetcher() { return Replay; },
+};
+
 /** Get current source configuration (dynamic lookup) */
 function getSourceConfig() {
     return DATA_SOURCES[DATA_SOURCE];
 }
 
-/** CORS proxy (neither vrijeme.hr nor pljusak.com send CORS headers) */
-const PROXY_URL = 'https://corsproxy.io/?';
+/**
+ * Configuration of the source a station comes from, which differs from the
+ * current one when sources are combined.
+ * @param {StationData} station
+ * @returns {Object}
+ */
+function getStationSourceConfig(station) {
+    return DATA_SOURCES[station.source] ?? getSourceConfig();
+}
+
+/**
+ * CORS proxies (vrijeme.hr, pljusak.com and meteo.arso.gov.si don't send CORS headers).
+ * Each adapter builds the request URL for a source and extracts the payload
+ * from the proxy's response; ProxyChain decides the order they're tried in.
+ */
+const PROXIES = {
+    // Self-hosted proxy (proxy/), base URL set in settings; serves /dhmz, /pljusak and /arso
+    selfHosted: {
+        buildUrl: (config, cacheBuster) => `${Settings.get('proxyUrl')}/${config.proxyPath}${cacheBuster}`,
+        readBody: response => response.text()
+    },
+    corsproxy: {
+        buildUrl: (config, cacheBuster) => 'https://corsproxy.io/?' + encodeURIComponent(config.url + cacheBuster),
+        readBody: response => response.text()
+    },
+    // Wraps the payload in JSON: {contents, status: {http_code, ...}}
+    allorigins: {
+        buildUrl: (config, cacheBuster) => 'https://api.allorigins.win/get?url=' + encodeURIComponent(config.url + cacheBuster),
+        async readBody(response) {
+            const json = await response.json().catch(() => {
+                throw new FetchError('proxyHtml', 'Invalid JSON from proxy');
+            });
+            const status = json.status?.http_code;
+            if (status && (status < 200 || status >= 300)) {
+                throw new FetchError('http', `HTTP error: ${status}`, status);
+            }
+            return json.contents;
+        }
+    }
+};
 
 /** Special location that uses geolocation to find nearest station */
 const NEAREST_LOCATION = 'Najbliža';
@@ -97,6 +230,581 @@ function getLocationKey() {
 /** Cached station data from last fetch */
 let cachedStations = null;
 
+// =============================================================================
+// SETTINGS AND UNITS
+// =============================================================================
+
+/**
+ * Settings - User preferences, persisted in localStorage as one JSON object.
+ * Unknown or missing keys fall back to defaults, so adding a setting never
+ * requires migrating saved data.
+ */
+const Settings = {
+    KEY: 'weather-settings',
+    defaults: {
+        temperatureUnit: 'C',
+        windUnit: 'ms',
+        pressureUnit: 'hPa',
+        // 'auto' follows the browser language (see getLanguage)
+        language: 'auto',
+        // Measurement times in 'station' (Croatian) or 'device' local time
+        timeDisplay: 'station',
+        // Base URL of a self-hosted proxy (tried first when set), '' = none
+        proxyUrl: '',
+        // Station classes (see STATION_CLASSES) left out of lists, the map and "Najbliža"
+        hiddenStationClasses: [],
+        // Whether "Najbliža" passes over stations with suspect readings (see flagSuspectReadings)
+        skipSuspectStations: true
+    },
+    /** Loaded values (lazily, on first access) */
+    values: null,
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.KEY));
+        } catch {
+            // Corrupt value - fall back to defaults
+        }
+        this.values = { ...this.defaults, ...saved };
+    },
+
+    /**
+     * @param {string} name
+     * @returns {*} Current value of the setting
+     */
+    get(name) {
+        if (!this.values) this.load();
+        return this.values[name];
+    },
+
+    /**
+     * Change a setting, persist it and re-render everything that shows values.
+     * @param {string} name
+     * @param {*} value
+     */
+    set(name, value) {
+        if (!this.values) this.load();
+        this.values[name] = value;
+        localStorage.setItem(this.KEY, JSON.stringify(this.values));
+        console.log('[vrijeme] Setting changed:', name, '=', value);
+        applySettings();
+    }
+};
+
+/**
+ * Units - Conversion and formatting of measured values in the user's units.
+ * Station data is always kept in the source units (°C, m/s, hPa); conversion
+ * happens only for display.
+ */
+const Units = {
+    temperature: {
+        C: { label: '°C', convert: c => c },
+        F: { label: '°F', convert: c => c * 9 / 5 + 32 }
+    },
+    wind: {
+        ms: { label: 'm/s', convert: v => v, decimals: 1 },
+        kmh: { label: 'km/h', convert: v => v * 3.6, decimals: 0 },
+        kn: { label: 'kn', convert: v => v * 1.943844, decimals: 0 },
+        bft: { label: 'Bf', convert: v => Units.toBeaufort(v), decimals: 0 }
+    },
+    pressure: {
+        hPa: { label: 'hPa', convert: v => v, decimals: 0 },
+        mmHg: { label: 'mmHg', convert: v => v * 0.750062, decimals: 0 },
+        inHg: { label: 'inHg', convert: v => v * 0.0295300, decimals: 2 }
+    },
+
+    /** Upper bounds (m/s) of Beaufort forces 0-11; anything above is force 12 */
+    BEAUFORT_LIMITS: [0.3, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7],
+
+    /**
+     * @param {number} ms - Wind speed in m/s
+     * @returns {number} Beaufort force (0-12)
+     */
+    toBeaufort(ms) {
+        const force = this.BEAUFORT_LIMITS.findIndex(limit => ms < limit);
+        return force >= 0 ? force : 12;
+    },
+
+    /** Rounds to the given number of decimals without trailing zeros (2.0 → "2") */
+    round(value, decimals) {
+        return String(Number(value.toFixed(decimals)));
+    },
+
+    /** @returns {string} Temperature unit symbol, e.g., "°C" */
+    temperatureLabel() {
+        return this.temperature[Settings.get('temperatureUnit')].label;
+    },
+
+    /**
+     * @param {number} celsius
+     * @param {number} [decimals=1]
+     * @returns {string} Temperature in user's unit, without the unit
+     */
+    formatTemperature(celsius, decimals = 1) {
+        return this.temperature[Settings.get('temperatureUnit')].convert(celsius).toFixed(decimals);
+    },
+
+    /**
+     * @param {number} celsius - Temperature difference in °C
+     * @param {boolean} [signed=true] - Whether to prefix positive differences with "+"
+     * @returns {string} Difference in user's unit, with the unit, e.g., "+0.3 °C"
+     */
+    formatTemperatureChange(celsius, signed = true) {
+        const unit = this.temperature[Settings.get('temperatureUnit')];
+        const change = unit.convert(celsius) - unit.convert(0);
+        return `${signed && change > 0 ? '+' : ''}${change.toFixed(1)} ${unit.label}`;
+    },
+
+    /** @returns {string} Wind speed unit, e.g., "km/h" */
+    windLabel() {
+        return this.wind[Settings.get('windUnit')].label;
+    },
+
+    /**
+     * @param {number} ms - Wind speed in m/s
+     * @returns {string} Wind speed in user's unit, without the unit
+     */
+    formatWindValue(ms) {
+        const unit = this.wind[Settings.get('windUnit')];
+        return this.round(unit.convert(ms), unit.decimals);
+    },
+
+    /**
+     * @param {number} ms - Wind speed in m/s
+     * @returns {string} Wind speed with unit, e.g., "12 km/h"
+     */
+    formatWind(ms) {
+        return `${this.formatWindValue(ms)} ${this.windLabel()}`;
+    },
+
+    /** @returns {string} Pressure unit, e.g., "hPa" */
+    pressureLabel() {
+        return this.pressure[Settings.get('pressureUnit')].label;
+    },
+
+    /**
+     * @param {number} hPa
+     * @returns {string} Pressure in user's unit, without the unit
+     */
+    formatPressure(hPa) {
+        const unit = this.pressure[Settings.get('pressureUnit')];
+        return unit.convert(hPa).toFixed(unit.decimals);
+    },
+
+    /**
+     * @param {number} hPa - Pressure difference in hPa
+     * @returns {string} Signed difference in user's unit (one decimal more than
+     *          pressures, as changes are small), without the unit
+     */
+    formatPressureChange(hPa) {
+        const unit = this.pressure[Settings.get('pressureUnit')];
+        const change = unit.convert(hPa);
+        return `${change > 0 ? '+' : ''}${change.toFixed(unit.decimals + 1)}`;
+    }
+};
+
+// =============================================================================
+// TRANSLATIONS
+// =============================================================================
+
+/**
+ * UI strings per language. Croatian is the reference: keys missing in another
+ * language fall back to it. Placeholders like {name} are filled in by t().
+ * Condition keys (condition.*) are the descriptions PljusakParser generates.
+ */
+const STRINGS = {
+    hr: {
+        'app.title': 'DHMZ Vrijeme',
+        'common.retry': 'Pokušaj ponovo',
+        'common.loading': 'Učitavam...',
+        'common.cancel': 'Odustani',
+        'common.close': 'Zatvori',
+        'field.temperature': 'Temperatura',
+        'field.humidity': 'Vlažnost',
+        'field.pressure': 'Tlak',
+        'field.wind': 'Vjetar',
+        'field.feelsLike': 'Osjećaj',
+        'field.dewPoint': 'Rosište',
+        'field.absoluteHumidity': 'Aps. vlaga',
+        'source.change': 'Promijeni izvor podataka',
+        'source.dhmz': 'Državni hidrometeorološki zavod',
+        'source.pljusak': 'Amaterske stanice',
+        'source.arso': 'Slovenska agencija za okoliš',
+        'source.both': 'DHMZ i amaterske stanice zajedno',
+        'location.choose': 'Odaberi lokaciju',
+        'location.nearest': 'Najbliža',
+        'location.nearestStation': 'Najbliža ({name})',
+        'location.nearestDenied': 'Najbliža (lokacija onemogućena)',
+        'location.nearestUnavailable': 'Najbliža (lokacija nedostupna)',
+        'location.onMap': 'Izaberi na karti...',
+        'location.allStations': 'Sve stanice...',
+        'favorite.add': 'Dodaj u omiljene',
+        'favorite.remove': 'Ukloni iz omiljenih',
+        'status.locating': 'Tražim lokaciju...',
+        'error.generic': 'Greška: {message}',
+        'error.offline': 'Nema internetske veze',
+        'error.http': 'Poslužitelj nije dostupan (greška {status})',
+        'error.proxyHtml': 'Proxy je vratio stranicu s greškom umjesto podataka',
+        'error.format': 'Izvor podataka je promijenio format',
+        'error.empty': 'Izvor podataka nije vratio nijednu stanicu',
+        'error.noStations': 'Nema podataka o stanicama',
+        'error.locationDenied': 'Lokacija je onemogućena. Omogućite lokaciju u postavkama uređaja ili izaberite stanicu ručno.',
+        'error.locationUnavailable': 'Lokacija nije dostupna. Izaberite stanicu ručno.',
+        'toast.offline': 'Izvan mreže, podaci od {time}',
+        'time.old': 'staro',
+        'map.close': 'Zatvori kartu',
+        'map.search': 'Traži stanicu...',
+        'map.searchLabel': 'Traži stanicu na karti',
+        'map.legend': 'Promijeni prikaz vrijednosti',
+        'map.layerField': 'Polje',
+        'map.layerFieldLabel': 'Prikaži interpolirano polje',
+        'map.layerWind': 'Vjetar',
+        'map.layerWindLabel': 'Prikaži smjer vjetra',
+        'map.clusterCount': '{count} stanica',
+        'table.close': 'Zatvori tablicu',
+        'table.search': 'Traži stanicu',
+        'table.station': 'Stanica',
+        'table.temperature': 'Temp.',
+        'table.humidity': 'Vlaga',
+        'detail.open': 'Prikaži sve podatke stanice',
+        'detail.close': 'Zatvori podatke stanice',
+        'detail.precipitationToday': 'Oborina danas',
+        'detail.temperatureRange': 'Min. / maks. danas',
+        'detail.precipitationRate': 'Intenzitet oborine',
+        'detail.windGust': 'Udari vjetra',
+        'detail.measured': 'Izmjereno',
+        'detail.elevation': 'Nadmorska visina',
+        'detail.device': 'Uređaj',
+        'detail.software': 'Softver',
+        'detail.stationPage': 'Stranica stanice',
+        'detail.webcam': 'Web kamera',
+        'detail.condition': 'Vrijeme',
+        'detail.network': 'Mreža',
+        'detail.stationType': 'Vrsta (pljusak.com)',
+        'detail.automatic': 'Mjerenje',
+        'detail.automaticYes': 'Automatska stanica',
+        'detail.automaticNo': 'Motritelj',
+        'detail.coordinates': 'Koordinate',
+        'detail.distance': 'Udaljenost',
+        'detail.historyRange': 'Zadnja 24 h: {min} – {max} {unit}',
+        'detail.historyEmpty': 'Još nema spremljenih mjerenja',
+        'settings.title': 'Postavke',
+        'settings.close': 'Zatvori postavke',
+        'settings.units': 'Jedinice',
+        'settings.language': 'Jezik',
+        'settings.languageAuto': 'Prema uređaju',
+        'settings.display': 'Prikaz',
+        'settings.timeDisplay': 'Vrijeme mjerenja',
+        'settings.timeStation': 'Hrvatsko',
+        'settings.timeDevice': 'Prema uređaju',
+        'settings.proxy': 'Proxy',
+        'settings.proxyUrl': 'Vlastiti proxy',
+        'settings.stations': 'Prikazane stanice',
+        'stationClass.automatic': 'DHMZ automatske',
+        'stationClass.manual': 'DHMZ s motriteljem',
+        'stationClass.amateur': 'Amaterske (pljusak.com)',
+        'stationClass.wunderground': 'Weather Underground',
+        'stationClass.relayed': 'Službene preko pljusak.com',
+        'settings.skipSuspect': 'Najbliža preskače sumnjive stanice',
+        'quality.badge': 'sumnjivo mjerenje',
+        'quality.temperatureHigh': 'Temperatura {amount} viša od okolnih stanica',
+        'quality.temperatureLow': 'Temperatura {amount} niža od okolnih stanica',
+        'quality.humidity': 'Vlažnost odstupa {amount} od okolnih stanica',
+        'detail.quality': 'Provjera',
+        'unit.knots': 'čvorovi (kn)',
+        'condition.freezingFog': 'ledena magla',
+        'condition.fog': 'magla',
+        'condition.unbearablyMuggy': 'neizdrživa sparina',
+        'condition.oppressiveHeat': 'teška vrućina',
+        'condition.scorching': 'žega',
+        'condition.sultry': 'sparina',
+        'condition.muggy': 'sparno',
+        'condition.dryHeat': 'suha vrućina',
+        'condition.hotStrongWind': 'vruće, jak vjetar',
+        'condition.hot': 'vruće',
+        'condition.warmMuggy': 'toplo i sparno',
+        'condition.warmBreeze': 'toplo uz povjetarac',
+        'condition.warmWindy': 'toplo, vjetrovito',
+        'condition.warm': 'toplo',
+        'condition.warmHumid': 'toplo i vlažno',
+        'condition.pleasant': 'ugodno',
+        'condition.pleasantWindy': 'ugodno uz vjetar',
+        'condition.mildWindy': 'umjereno, vjetrovito',
+        'condition.pleasantTemperature': 'ugodna temperatura',
+        'condition.freshStrongWind': 'svježe, jak vjetar',
+        'condition.freshWindy': 'svježe uz vjetar',
+        'condition.freshDamp': 'svježe i vlažno',
+        'condition.fresh': 'svježe',
+        'condition.coldWind': 'hladan vjetar',
+        'condition.coolWindy': 'prohladno uz vjetar',
+        'condition.coolDamp': 'prohladno i vlažno',
+        'condition.cool': 'prohladno',
+        'condition.bitingWind': 'oštar vjetar',
+        'condition.coldWindy': 'hladno uz vjetar',
+        'condition.rawDamp': 'neugodna vlaga',
+        'condition.piercingWind': 'prodoran vjetar',
+        'condition.coldBlustery': 'hladno, vjetrovito',
+        'condition.dampCold': 'vlažna hladnoća',
+        'condition.cold': 'hladno',
+        'condition.freezingBitingWind': 'ledeno, oštar vjetar',
+        'condition.freezingWindy': 'ledeno uz vjetar',
+        'condition.freezing': 'ledeno',
+        'condition.hardFrostWindy': 'vrlo ledeno uz vjetar',
+        'condition.hardFrost': 'vrlo ledeno',
+        'condition.bitterColdWindy': 'jaka studen',
+        'condition.bitterCold': 'studen'
+    },
+    en: {
+        'app.title': 'DHMZ Weather',
+        'common.retry': 'Try again',
+        'common.loading': 'Loading...',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'field.temperature': 'Temperature',
+        'field.humidity': 'Humidity',
+        'field.pressure': 'Pressure',
+        'field.wind': 'Wind',
+        'field.feelsLike': 'Feels like',
+        'field.dewPoint': 'Dew point',
+        'field.absoluteHumidity': 'Abs. humidity',
+        'source.change': 'Change data source',
+        'source.dhmz': 'Croatian Meteorological Service',
+        'source.pljusak': 'Amateur stations',
+        'source.arso': 'Slovenian Environment Agency',
+        'source.both': 'DHMZ and amateur stations together',
+        'location.choose': 'Choose location',
+        'location.nearest': 'Nearest',
+        'location.nearestStation': 'Nearest ({name})',
+        'location.nearestDenied': 'Nearest (location disabled)',
+        'location.nearestUnavailable': 'Nearest (location unavailable)',
+        'location.onMap': 'Choose on map...',
+        'location.allStations': 'All stations...',
+        'favorite.add': 'Add to favorites',
+        'favorite.remove': 'Remove from favorites',
+        'status.locating': 'Finding your location...',
+        'error.generic': 'Error: {message}',
+        'error.offline': 'No internet connection',
+        'error.http': 'Server unavailable (error {status})',
+        'error.proxyHtml': 'The proxy returned an error page instead of data',
+        'error.format': 'The data source changed its format',
+        'error.empty': 'The data source returned no stations',
+        'error.noStations': 'No station data',
+        'error.locationDenied': 'Location is disabled. Enable location in your device settings or choose a station manually.',
+        'error.locationUnavailable': 'Location is unavailable. Choose a station manually.',
+        'toast.offline': 'Offline, data from {time}',
+        'time.old': 'old',
+        'map.close': 'Close map',
+        'map.search': 'Search stations...',
+        'map.searchLabel': 'Search stations on the map',
+        'map.legend': 'Change displayed value',
+        'map.layerField': 'Field',
+        'map.layerFieldLabel': 'Show interpolated field',
+        'map.layerWind': 'Wind',
+        'map.layerWindLabel': 'Show wind direction',
+        'map.clusterCount': '{count} stations',
+        'table.close': 'Close table',
+        'table.search': 'Search stations',
+        'table.station': 'Station',
+        'table.temperature': 'Temp.',
+        'table.humidity': 'Humidity',
+        'detail.open': 'Show all station data',
+        'detail.close': 'Close station data',
+        'detail.precipitationToday': 'Rain today',
+        'detail.temperatureRange': 'Low / high today',
+        'detail.precipitationRate': 'Rain rate',
+        'detail.windGust': 'Gusts',
+        'detail.measured': 'Measured',
+        'detail.elevation': 'Elevation',
+        'detail.device': 'Device',
+        'detail.software': 'Software',
+        'detail.stationPage': 'Station page',
+        'detail.webcam': 'Webcam',
+        'detail.condition': 'Weather',
+        'detail.network': 'Network',
+        'detail.stationType': 'Type (pljusak.com)',
+        'detail.automatic': 'Readings',
+        'detail.automaticYes': 'Automatic station',
+        'detail.automaticNo': 'Human observer',
+        'detail.coordinates': 'Coordinates',
+        'detail.distance': 'Distance',
+        'detail.historyRange': 'Last 24 h: {min} – {max} {unit}',
+        'detail.historyEmpty': 'No stored readings yet',
+        'settings.title': 'Settings',
+        'settings.close': 'Close settings',
+        'settings.units': 'Units',
+        'settings.language': 'Language',
+        'settings.languageAuto': 'Device default',
+        'settings.display': 'Display',
+        'settings.timeDisplay': 'Measurement time',
+        'settings.timeStation': 'Croatian',
+        'settings.timeDevice': 'Device time zone',
+        'settings.proxy': 'Proxy',
+        'settings.proxyUrl': 'Self-hosted proxy',
+        'settings.stations': 'Shown stations',
+        'stationClass.automatic': 'DHMZ automatic',
+        'stationClass.manual': 'DHMZ with observer',
+        'stationClass.amateur': 'Amateur (pljusak.com)',
+        'stationClass.wunderground': 'Weather Underground',
+        'stationClass.relayed': 'Official via pljusak.com',
+        'settings.skipSuspect': 'Nearest skips suspect stations',
+        'quality.badge': 'suspect reading',
+        'quality.temperatureHigh': 'Temperature {amount} above nearby stations',
+        'quality.temperatureLow': 'Temperature {amount} below nearby stations',
+        'quality.humidity': 'Humidity {amount} off from nearby stations',
+        'detail.quality': 'Check',
+        'unit.knots': 'knots (kn)',
+        'condition.freezingFog': 'freezing fog',
+        'condition.fog': 'fog',
+        'condition.unbearablyMuggy': 'unbearably muggy',
+        'condition.oppressiveHeat': 'oppressive heat',
+        'condition.scorching': 'scorching',
+        'condition.sultry': 'sultry',
+        'condition.muggy': 'muggy',
+        'condition.dryHeat': 'dry heat',
+        'condition.hotStrongWind': 'hot, strong wind',
+        'condition.hot': 'hot',
+        'condition.warmMuggy': 'warm and muggy',
+        'condition.warmBreeze': 'warm with a breeze',
+        'condition.warmWindy': 'warm, windy',
+        'condition.warm': 'warm',
+        'condition.warmHumid': 'warm and humid',
+        'condition.pleasant': 'pleasant',
+        'condition.pleasantWindy': 'pleasant, windy',
+        'condition.mildWindy': 'mild, windy',
+        'condition.pleasantTemperature': 'pleasant temperature',
+        'condition.freshStrongWind': 'fresh, strong wind',
+        'condition.freshWindy': 'fresh and windy',
+        'condition.freshDamp': 'fresh and damp',
+        'condition.fresh': 'fresh',
+        'condition.coldWind': 'cold wind',
+        'condition.coolWindy': 'cool and windy',
+        'condition.coolDamp': 'cool and damp',
+        'condition.cool': 'cool',
+        'condition.bitingWind': 'biting wind',
+        'condition.coldWindy': 'cold and windy',
+        'condition.rawDamp': 'raw and damp',
+        'condition.piercingWind': 'piercing wind',
+        'condition.coldBlustery': 'cold, blustery',
+        'condition.dampCold': 'damp cold',
+        'condition.cold': 'cold',
+        'condition.freezingBitingWind': 'freezing, biting wind',
+        'condition.freezingWindy': 'freezing and windy',
+        'condition.freezing': 'freezing',
+        'condition.hardFrostWindy': 'hard frost, windy',
+        'condition.hardFrost': 'hard frost',
+        'condition.bitterColdWindy': 'bitter cold, windy',
+        'condition.bitterCold': 'bitter cold'
+    }
+};
+
+/** Display names of the languages in STRINGS (in their own language) */
+const LANGUAGE_NAMES = { hr: 'Hrvatski', en: 'English' };
+
+/** Browser languages close enough to Croatian to prefer it over English */
+const LANGUAGE_ALIASES = { bs: 'hr', sr: 'hr', sh: 'hr', cnr: 'hr' };
+
+/**
+ * Known DHMZ `Vrijeme` phrases, by language. Keys are the lowercase Croatian
+ * text from the XML; phrases not listed here are shown as-is.
+ */
+const DHMZ_CONDITIONS = {
+    en: {
+        'vedro': 'clear',
+        'pretežno vedro': 'mostly clear',
+        'djelomično oblačno': 'partly cloudy',
+        'umjereno oblačno': 'partly cloudy',
+        'pretežno oblačno': 'mostly cloudy',
+        'oblačno': 'cloudy',
+        'potpuno oblačno': 'overcast',
+        'nebo nevidljivo': 'sky obscured',
+        'izmaglica': 'mist',
+        'sumaglica': 'haze',
+        'magla': 'fog',
+        'ledena magla': 'freezing fog',
+        'rosulja': 'drizzle',
+        'slaba kiša': 'light rain',
+        'kiša': 'rain',
+        'umjerena kiša': 'moderate rain',
+        'jaka kiša': 'heavy rain',
+        'pljusak': 'shower',
+        'pljusak kiše': 'rain shower',
+        'ledena kiša': 'freezing rain',
+        'kiša sa snijegom': 'sleet',
+        'susnježica': 'sleet',
+        'slab snijeg': 'light snow',
+        'snijeg': 'snow',
+        'jak snijeg': 'heavy snow',
+        'pljusak snijega': 'snow shower',
+        'mećava': 'blizzard',
+        'tuča': 'hail',
+        'grmljavina': 'thunderstorm',
+        'grmljavina s kišom': 'thunderstorm with rain',
+        'grmljavina s pljuskom': 'thunderstorm with showers',
+        'grmljavina s tučom': 'thunderstorm with hail',
+        'mraz': 'frost',
+        'poledica': 'glaze ice',
+        'vjetrovito': 'windy',
+        'olujni vjetar': 'gale'
+    }
+};
+
+/**
+ * Resolves the UI language: the saved setting, or the browser language when
+ * set to "auto". Falls back to English for languages without a translation.
+ * @returns {string} Key into STRINGS
+ */
+function getLanguage() {
+    const setting = Settings.get('language');
+    if (STRINGS[setting]) return setting;
+    const browser = (navigator.language || '').toLowerCase().split('-')[0];
+    const language = LANGUAGE_ALIASES[browser] || browser;
+    return STRINGS[language] ? language : 'en';
+}
+
+/**
+ * Translates a UI string.
+ * @param {string} key - Key into STRINGS
+ * @param {Object<string, string|number>} [params] - Values for {placeholders}
+ * @returns {string} Translated text (Croatian or the key itself if missing)
+ */
+function t(key, params = {}) {
+    const text = STRINGS[getLanguage()][key] ?? STRINGS.hr[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Condition text for display in the current language: generated pljusak
+ * descriptions come from STRINGS, DHMZ text is mapped where the phrase is known.
+ * @param {StationData} station
+ * @returns {string|null}
+ */
+function describeCondition(station) {
+    if (station.conditionKey) return t(`condition.${station.conditionKey}`);
+    if (!station.condition) return null;
+    const phrases = DHMZ_CONDITIONS[getLanguage()];
+    return phrases?.[station.condition.toLowerCase()] ?? station.condition;
+}
+
+/**
+ * Applies translations to static markup: elements with data-i18n get their
+ * text replaced, data-i18n-aria and data-i18n-placeholder set attributes.
+ */
+function translatePage() {
+    document.documentElement.lang = getLanguage();
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-aria]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAria));
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+}
+
+translatePage();
+
 /**
  * Geolocation - Handles user location detection.
  *
@@ -189,9 +897,6 @@ const Geolocation = {
     }
 };
 
-/** Refresh interval in milliseconds (15 minutes) */
-const REFRESH_INTERVAL = 15 * 60 * 1000;
-
 /** Data older than this is considered stale (1 hour) */
 const STALE_THRESHOLD_MS = 60 * 60 * 1000;
 
@@ -201,20 +906,7 @@ const OLD_THRESHOLD_MS = 23 * 60 * 60 * 1000;
 /** Type-ahead search buffer timeout (ms) */
 const TYPEAHEAD_TIMEOUT_MS = 2000;
 
-/**
- * @typedef {Object} StationData
- * @property {string} name - Station name
- * @property {number} lat - Latitude
- * @property {number} lon - Longitude
- * @property {number} temperature - Temperature in °C
- * @property {number|null} humidity - Relative humidity %
- * @property {number|null} pressure - Atmospheric pressure in hPa
- * @property {number|null} pressureTrend - Pressure tendency (+/- value)
- * @property {string|null} windDirection - Wind direction
- * @property {number|null} windSpeed - Wind speed in m/s
- * @property {string|null} condition - Weather condition description
- * @property {Date|null} measurementTime - When the measurement was taken
- */
+/** @typedef {import('./lib/stations.js').StationData} StationData */
 
 /** Whether a fetch is currently in progress (prevents concurrent fetches) */
 let fetchInProgress = false;
@@ -222,511 +914,579 @@ let fetchInProgress = false;
 /** Timestamp of last fetch start (for throttling auto-refresh) */
 let lastRefresh = 0;
 
+/** Raw payload behind cachedStations, to detect unchanged responses */
+let lastPayload = null;
+
 /**
- * Fetches weather data from the configured source via CORS proxy and updates the display.
+ * User-facing message for a fetch failure.
+ * @param {Error} error
+ * @returns {string}
  */
-async function fetchWeatherData() {
-    // Prevent concurrent fetches (e.g., click + focus firing together)
-    if (fetchInProgress) {
-        console.log('[vrijeme] Fetch already in progress, skipping');
-        return;
-    }
-    fetchInProgress = true;
-    lastRefresh = Date.now();
-
-    const cacheBuster = `?_=${Date.now()}`;
-    const fetchUrl = PROXY_URL + encodeURIComponent(getSourceConfig().url + cacheBuster);
-    const widget = document.getElementById('widget');
-
-    widget.classList.add('refreshing');
-    console.log('[vrijeme] Fetching weather data from', DATA_SOURCE);
-
-    try {
-        const response = await fetch(fetchUrl);
-        console.log('[vrijeme] Response status:', response.status);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error: ${response.status}`);
-        }
-
-        const responseText = await response.text();
-        console.log('[vrijeme] Response length:', responseText.length, 'chars');
-
-        // Parse using source-specific parser
-        cachedStations = getSourceConfig().parser.parse(responseText);
+function describeFetchError(error) {
+    if (!(error instanceof FetchError)) return t('error.generic', { message: error.message });
+    return t(`error.${error.kind}`, { status: error.status });
+}
 
-        const collator = new Intl.Collator('hr');
-        const stationNames = Object.keys(cachedStations).sort(collator.compare);
-        console.log('[vrijeme] Found stations:', stationNames.length);
+/**
+ * Backoff per error kind: retries start after initialDelayMs and double up to
+ * maxDelayMs. Transient problems retry quickly; a format change won't fix
+ * itself within minutes, so it backs off to a quarter-hour.
+ */
+const RETRY_POLICIES = {
+    offline: { initialDelayMs: 10 * 1000, maxDelayMs: 5 * 60 * 1000 },
+    http: { initialDelayMs: 30 * 1000, maxDelayMs: 10 * 60 * 1000 },
+    proxyHtml: { initialDelayMs: 30 * 1000, maxDelayMs: 10 * 60 * 1000 },
+    format: { initialDelayMs: 2 * 60 * 1000, maxDelayMs: 15 * 60 * 1000 },
+    empty: { initialDelayMs: 60 * 1000, maxDelayMs: 15 * 60 * 1000 }
+};
 
-        // Clear any previous error toast on successful fetch
-        hideToast();
+/**
+ * Retry - Schedules an extra fetch after a failed one (exponential backoff),
+ * instead of waiting for the next regular refresh. Any successful fetch resets it.
+ */
+const Retry = {
+    /** Consecutive failed fetches */
+    attempt: 0,
+    /** Pending retry timeout */
+    timer: null,
 
-        LocationPicker.populate(stationNames);
-        Geolocation.request();
-        renderSelectedStation();
+    /**
+     * @param {Error} error - Error of the failed fetch (unclassified errors use the http policy)
+     * @returns {number} Delay until the retry in ms
+     */
+    schedule(error) {
+        const policy = RETRY_POLICIES[error.kind] ?? RETRY_POLICIES.http;
+        const delay = Math.min(policy.initialDelayMs * 2 ** this.attempt, policy.maxDelayMs);
+        this.attempt++;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(fetchWeatherData, delay);
+        console.log('[vrijeme] Retry', this.attempt, 'in', delay / 1000, 's');
+        return delay;
+    },
 
-    } catch (error) {
-        console.error('[vrijeme] Error:', error);
-        // If we have cached data, show toast and keep displaying old data
-        if (cachedStations) {
-            console.log('[vrijeme] Using cached data due to fetch error');
-            showToast('Učitavanje nije uspjelo');
-        } else {
-            renderError('Greška: ' + error.message);
-        }
-    } finally {
-        fetchInProgress = false;
-        widget.classList.remove('refreshing');
+    reset() {
+        this.attempt = 0;
+        clearTimeout(this.timer);
+        this.timer = null;
     }
-}
-
-// =============================================================================
-// DHMZ PARSER (vrijeme.hr XML format)
-// =============================================================================
-
-/*
- * DHMZ XML STRUCTURE (https://vrijeme.hr/hrvatska1_n.xml)
- *
- * <?xml version="1.0" encoding="UTF-8"?>
- * <Hrvatska>
- *   <DatumTermin>
- *     <Datum>DD.MM.YYYY</Datum>    <!-- Measurement date -->
- *     <Termin>HH</Termin>          <!-- Hour (0-23) -->
- *   </DatumTermin>
- *   <Grad autom="0|1">             <!-- autom: 0=manual, 1=automatic station -->
- *     <GradIme>Station Name</GradIme>
- *     <Lat>XX.XXX</Lat>            <!-- Latitude (42-47°N) -->
- *     <Lon>XX.XXX</Lon>            <!-- Longitude (13-19°E) -->
- *     <Podatci>
- *       <Temp>XX.X</Temp>          <!-- Temperature in °C -->
- *       <Vlaga>XX</Vlaga>          <!-- Relative humidity % -->
- *       <Tlak>XXXX.X</Tlak>        <!-- Pressure in hPa -->
- *       <TlakTend>+X.X</TlakTend>  <!-- Pressure tendency -->
- *       <VjetarSmjer>XX</VjetarSmjer>      <!-- Wind direction -->
- *       <VjetarBrzina>X.X</VjetarBrzina>   <!-- Wind speed in m/s -->
- *       <Vrijeme>description</Vrijeme>     <!-- Weather description -->
- *     </Podatci>
- *   </Grad>
- * </Hrvatska>
- */
+};
 
 /**
- * DhmzParser - Parses weather data from DHMZ (vrijeme.hr) XML format.
+ * ProxyChain - Tries the proxies in PROXIES in order until one returns data
+ * that parses, and remembers which one worked so the next fetch starts with
+ * it. A proxy that answers with an error page counts as failed too.
  */
-const DhmzParser = {
+const ProxyChain = {
+    /** LocalStorage key for the last proxy that worked */
+    KEY: 'weather-proxy',
+
     /**
-     * Parses DHMZ XML response and returns station data.
-     * @param {string} xmlText - Raw XML response
-     * @returns {Object<string, StationData>}
+     * A configured self-hosted proxy always comes first (it was set up on
+     * purpose), then the public ones starting with the last one that worked.
+     * @returns {string[]} Proxy ids in the order to try
+     */
+    getOrder() {
+        const order = Object.keys(PROXIES).filter(id => id !== 'selfHosted');
+        const preferred = localStorage.getItem(this.KEY);
+        if (order.includes(preferred)) {
+            order.splice(order.indexOf(preferred), 1);
+            order.unshift(preferred);
+        }
+        if (Settings.get('proxyUrl')) order.unshift('selfHosted');
+        return order;
+    },
+
+    /**
+     * Fetch and parse a source's data through the first proxy that works.
+     * @param {Object} config - Source configuration (see DATA_SOURCES)
+     * @param {string|null} previousPayload - Last payload; if the response is
+     *        identical, parsing is skipped and stations is null
+     * @returns {Promise<{stations: Object<string, StationData>|null, payload: string, cachedAt: string|null}>}
+     *          cachedAt is set when the service worker answered from its offline cache
+     * @throws {FetchError} If all proxies failed. An 'offline' error from one
+     *         proxy is less telling than what another one answered, so it's
+     *         reported only if every proxy was unreachable.
      */
-    parse(xmlText) {
-        // Verify we got XML, not an error page
-        if (!xmlText.startsWith('<?xml')) {
-            console.error('[vrijeme] Invalid response (not XML):', xmlText.substring(0, 200));
-            throw new Error('Invalid response from proxy');
+    async fetch(config, previousPayload) {
+        const cacheBuster = `?_=${Date.now()}`;
+        const errors = [];
+
+        for (const id of this.getOrder()) {
+            try {
+                const result = await this.fetchVia(PROXIES[id], config, cacheBuster, previousPayload);
+                localStorage.setItem(this.KEY, id);
+                return result;
+            } catch (error) {
+                // Anything unclassified was thrown while parsing the payload
+                const fetchError = error instanceof FetchError ? error : new FetchError('format', error.message);
+                console.warn('[vrijeme] Proxy', id, 'failed:', fetchError.kind, fetchError.message);
+                errors.push(fetchError);
+            }
         }
+        throw errors.find(e => e.kind !== 'offline') ?? errors[0];
+    },
 
-        const xmlDoc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    /**
+     * Fetch and parse through a single proxy.
+     * @param {Object} proxy - Adapter from PROXIES
+     * @param {Object} config - Source configuration
+     * @param {string} cacheBuster
+     * @param {string|null} previousPayload
+     * @returns {Promise<{stations: Object<string, StationData>|null, payload: string, cachedAt: string|null}>}
+     */
+    async fetchVia(proxy, config, cacheBuster, previousPayload) {
+        let response;
+        try {
+            response = await fetch(proxy.buildUrl(config, cacheBuster));
+        } catch (error) {
+            // fetch() only rejects when no response arrived at all
+            throw new FetchError('offline', error.message);
+        }
+        console.log('[vrijeme] Response status:', response.status);
+        if (!response.ok) {
+            throw new FetchError('http', `HTTP error: ${response.status}`, response.status);
+        }
 
-        // Check for XML parse errors
-        const parseError = xmlDoc.querySelector('parsererror');
-        if (parseError) {
-            console.error('[vrijeme] XML parse error:', parseError.textContent);
-            throw new Error('XML parse error');
+        const responseText = await proxy.readBody(response);
+        console.log('[vrijeme] Response length:', responseText.length, 'chars');
+        const cachedAt = response.headers.get('X-Weather-Cached-At');
+        if (responseText === previousPayload) {
+            return { stations: null, payload: responseText, cachedAt };
         }
 
-        const measurementTime = this.extractMeasurementTime(xmlDoc);
-        return this.extractStations(xmlDoc, measurementTime);
-    },
+        // Parse using source-specific parser
+        const stations = config.parser.parse(responseText);
+        return { stations, payload: responseText, cachedAt };
+    }
+};
+
+/**
+ * CombinedSource - Fetcher of the "both" source. Fetches DHMZ and pljusak in
+ * parallel through ProxyChain and merges them into one station map, each
+ * station tagged with the source it came from (StationData.source).
+ *
+ * The combined payload is the list of the sources' payloads, so each source
+ * gets its own previous payload and an unchanged one reuses its stations.
+ *
+ * pljusak.com relays many official stations as entries of type "dhmz".
+ * Those within DUPLICATE_DISTANCE_KM of a DHMZ station are dropped in favor
+ * of the original; a pljusak station whose name is still taken gets the
+ * network label appended.
+ */
+const CombinedSource = {
+    /** Merged sources, official first so its stations win */
+    SOURCES: ['dhmz', 'pljusak'],
+    /** A relayed DHMZ station this close to an official one is the same station */
+    DUPLICATE_DISTANCE_KM: 1,
+    /** @type {Object<string, Object<string, StationData>>} Last parsed stations per source */
+    stationsBySource: {},
 
     /**
-     * Extracts measurement timestamp from DHMZ XML.
-     * @param {Document} xmlDoc
-     * @returns {Date|null}
+     * Fetch and merge both sources, with the same result as ProxyChain.fetch().
+     * If one source fails, the stations of the others are shown and its error
+     * is returned alongside them; only when all fail does the fetch fail.
+     * @param {Object} config - Source configuration (DATA_SOURCES.both)
+     * @param {string|null} previousPayload
+     * @returns {Promise<{stations: Object<string, StationData>|null, payload: string, cachedAt: string|null, error?: Error}>}
+     *          error is the failure of a source left out of the stations
+     * @throws {FetchError} The first source's error if every source failed
      */
-    extractMeasurementTime(xmlDoc) {
-        const datumTermin = xmlDoc.querySelector('DatumTermin');
-        if (!datumTermin) return null;
+    async fetch(config, previousPayload) {
+        const previousPayloads = previousPayload ? JSON.parse(previousPayload) : [];
+        const results = await Promise.allSettled(this.SOURCES.map((source, i) => {
+            // Without its stations an unchanged payload would leave nothing to merge
+            const previous = this.stationsBySource[source] ? previousPayloads[i] ?? null : null;
+            return ProxyChain.fetch(DATA_SOURCES[source], previous);
+        }));
+
+        const failures = results.filter(r => r.status === 'rejected').map(r => r.reason);
+        if (failures.length === results.length) throw failures[0];
+        const error = failures[0];
+
+        const stationsBySource = {};
+        this.SOURCES.forEach((source, i) => {
+            if (results[i].status === 'rejected') {
+                console.warn('[vrijeme] Leaving out', source, 'after fetch error:', results[i].reason);
+                return;
+            }
+            this.stationsBySource[source] = results[i].value.stations ?? this.stationsBySource[source];
+            stationsBySource[source] = this.stationsBySource[source];
+        });
+        const fetched = results.filter(r => r.status === 'fulfilled').map(r => r.value);
 
-        const datum = datumTermin.querySelector('Datum');
-        const termin = datumTermin.querySelector('Termin');
+        // Offline copies are as old as the oldest of them
+        const cachedTimes = fetched.filter(r => r.cachedAt).map(r => Number(r.cachedAt));
+        const cachedAt = cachedTimes.length > 0 ? String(Math.min(...cachedTimes)) : null;
 
-        if (datum && termin) {
-            // Datum format: "DD.MM.YYYY", Termin format: "HH"
-            const match = datum.textContent.trim().match(/(\d{2})\.(\d{2})\.(\d{4})/);
-            if (!match) return null;
-            const [, day, month, year] = match;
-            const hour = parseInt(termin.textContent.trim(), 10);
-            return new Date(year, month - 1, day, hour);
+        // A failed source has no payload, so the next fetch parses it again
+        const payload = JSON.stringify(results.map(r => r.value?.payload ?? null));
+        if (payload === previousPayload) {
+            return { stations: null, payload, cachedAt, error };
         }
-        return null;
+        return { stations: this.merge(stationsBySource), payload, cachedAt, error };
     },
 
     /**
-     * Extracts all stations from DHMZ XML.
-     * @param {Document} xmlDoc
-     * @param {Date|null} measurementTime
+     * @param {Object<string, Object<string, StationData>>} stationsBySource - Sources that were fetched
      * @returns {Object<string, StationData>}
      */
-    extractStations(xmlDoc, measurementTime) {
-        const stations = xmlDoc.querySelectorAll('Grad');
+    merge(stationsBySource) {
+        const official = Object.values(stationsBySource.dhmz ?? {});
         /** @type {Object<string, StationData>} */
         const result = {};
+        let duplicateCount = 0;
 
-        stations.forEach(station => {
-            const nameEl = station.querySelector('GradIme');
-            if (!nameEl) return;
-
-            const name = nameEl.textContent.trim();
-            const lat = parseFloat(station.querySelector('Lat')?.textContent);
-            const lon = parseFloat(station.querySelector('Lon')?.textContent);
-            const data = station.querySelector('Podatci');
-            if (!data) return;
-
-            const temp = data.querySelector('Temp');
-            const tempValue = temp?.textContent.trim();
-
-            // Skip if no valid temperature
-            if (!tempValue || tempValue === '-') return;
-
-            result[name] = {
-                name,
-                lat,
-                lon,
-                temperature: parseFloat(tempValue),
-                humidity: getNumberOrNull(data, 'Vlaga'),
-                pressure: getNumberOrNull(data, 'Tlak'),
-                pressureTrend: getNumberOrNull(data, 'TlakTend'),
-                windDirection: getTextOrNull(data, 'VjetarSmjer'),
-                windSpeed: getNumberOrNull(data, 'VjetarBrzina'),
-                condition: getTextOrNull(data, 'Vrijeme'),
-                measurementTime
-            };
-        });
+        for (const source of this.SOURCES) {
+            for (const station of Object.values(stationsBySource[source] ?? {})) {
+                if (source !== 'dhmz' && this.isRelayedOfficial(station, official)) {
+                    duplicateCount++;
+                    continue;
+                }
+                const name = station.name in result ? `${station.name} (${DATA_SOURCES[source].label})` : station.name;
+                result[name] = { ...station, name, source };
+            }
+        }
 
+        console.log('[vrijeme] Merged sources, dropped', duplicateCount, 'duplicate stations');
         return result;
     },
 
     /**
-     * Formats measurement time for display (hour precision).
-     * @param {Date} date
-     * @returns {string} e.g., "19h"
+     * @param {StationData} station - pljusak station
+     * @param {StationData[]} official - DHMZ stations
+     * @returns {boolean} Whether the station is a DHMZ station relayed by pljusak.com
      */
-    formatTime(date) {
-        return `${date.getHours()}h`;
+    isRelayedOfficial(station, official) {
+        if (station.stationType !== 'dhmz') return false;
+        return official.some(o => haversineDistance(station.lat, station.lon, o.lat, o.lon) <= this.DUPLICATE_DISTANCE_KM);
     }
 };
 
-// =============================================================================
-// PLJUSAK PARSER (pljusak.com JavaScript array format)
-// =============================================================================
-
-/*
- * PLJUSAK.COM DATA STRUCTURE (https://pljusak.com/karta.php)
+/**
+ * Replay - Fetcher of the fixture source. Serves payloads recorded from
+ * REPLAY_SOURCE out of fixtures/ instead of fetching the live feed, so
+ * refreshes, stale readings and disappearing stations can be reproduced
+ * without network access.
  *
- * The page contains a JavaScript array `var podaci = [...]` with weather
- * observations from amateur stations. Data updates every 5-15 minutes.
+ * The manifest (fixtures/<source>.json, e.g. fixtures/dhmz.json) lists snapshots
+ * in order, each with its file (relative to the manifest) and the time it
+ * was recorded. Every fetch serves the next snapshot; after the last one the
+ * payload stays the same. ?step=N starts the replay at snapshot N.
  *
- * Each station entry is an array:
- *   [0]  Type (lokalna, wu_05, wu_15, dhmz, arso, etc.)
- *   [1]  Station name
- *   [2]  Latitude (string)
- *   [3]  Longitude (string)
- *   [4]  Elevation in meters
- *   [5]  Priority/order number
- *   [6]  Station URL
- *   [7]  Device type (e.g., "Davis Vantage Pro2")
- *   [8]  Software (e.g., "WeatherLink")
- *   [9]  Notes
- *   [10] Measurement time (HH:MM:SS)
- *   [11] Webcam URL (optional)
- *   [12] Temperature in °C
- *   [13] Temperature trend
- *   [14] Pressure in hPa
- *   [15] Pressure trend
- *   [16] Humidity %
- *   [17] Wind direction (e.g., "SSW", "N")
- *   [18] Wind speed in m/s
- *   ...  additional fields for precipitation, min/max temps, etc.
+ * Measurement times are shifted by the time elapsed since the snapshot was
+ * recorded, so each reading is as fresh (or as stale) as it was back then.
  */
-
-/**
- * PljusakParser - Parses weather data from pljusak.com JavaScript array format.
- */
-const PljusakParser = {
-    /** Data array indices */
-    INDICES: {
-        TYPE: 0,
-        NAME: 1,
-        LAT: 2,
-        LON: 3,
-        ELEVATION: 4,
-        TIME: 10,
-        TEMPERATURE: 12,
-        PRESSURE: 14,
-        PRESSURE_TREND: 15,
-        HUMIDITY: 16,
-        WIND_DIR: 17,
-        WIND_SPEED: 18,
-        DEWPOINT: 24
-    },
-
-    /** Maximum age for readings - older stations are filtered out (12 hours) */
-    MAX_AGE_MS: 12 * 60 * 60 * 1000,
+const Replay = {
+    /** Index of the next snapshot to serve */
+    step: Math.max(0, (parseInt(new URLSearchParams(window.location.search).get('step'), 10) || 1) - 1),
+    /** @type {{snapshots: {file: string, recordedAt: string, description?: string}[]}|null} */
+    manifest: null,
 
     /**
-     * Parses pljusak.com HTML response and returns station data.
-     * @param {string} htmlText - Raw HTML response containing JavaScript
-     * @returns {Object<string, StationData>}
+     * Fetch a local file, bypassing the HTTP cache so edited recordings show up.
+     * @param {string} url
+     * @returns {Promise<Response>}
+     * @throws {FetchError}
      */
-    parse(htmlText) {
-        // Extract the podaci array from the JavaScript
-        const podaciMatch = htmlText.match(/var\s+podaci\s*=\s*(\[[\s\S]*?\]);/);
-        if (!podaciMatch) {
-            console.error('[vrijeme] Could not find podaci array in response');
-            throw new Error('Invalid response format');
-        }
-
-        let podaci;
+    async get(url) {
+        let response;
         try {
-            podaci = JSON.parse(podaciMatch[1]);
-        } catch (e) {
-            console.error('[vrijeme] Failed to parse podaci array:', e);
-            throw new Error('Failed to parse weather data');
+            response = await fetch(url, { cache: 'no-store' });
+        } catch (error) {
+            throw new FetchError('offline', error.message);
         }
-
-        console.log('[vrijeme] Parsed', podaci.length, 'station entries');
-        return this.extractStations(podaci);
+        if (!response.ok) {
+            throw new FetchError('http', `HTTP error: ${response.status}`, response.status);
+        }
+        return response;
     },
 
     /**
-     * Parses measurement time from pljusak.com format (HH:MM:SS).
-     * @param {string|null} timeStr - Time string like "18:10:00"
-     * @returns {Date|null}
+     * Serve the next recorded snapshot, with the same result as ProxyChain.fetch().
+     * @param {Object} config - Source configuration (DATA_SOURCES.fixture)
+     * @param {string|null} previousPayload
+     * @returns {Promise<{stations: Object<string, StationData>|null, payload: string, cachedAt: null}>}
      */
-    parseTime(timeStr) {
-        if (!timeStr || typeof timeStr !== 'string') return null;
-        const match = timeStr.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
-        if (!match) return null;
+    async fetch(config, previousPayload) {
+        const manifestUrl = new URL(config.url, window.location.href);
+        if (!this.manifest) {
+            const response = await this.get(manifestUrl.href);
+            const manifest = await response.json().catch(error => {
+                throw new FetchError('format', `Invalid replay manifest: ${error.message}`);
+            });
+            // Checked before keeping it, so the next retry loads the manifest again
+            const snapshots = manifest?.snapshots;
+            if (!(Array.isArray(snapshots) && snapshots.length)) {
+                throw new FetchError('format', 'Replay manifest has no snapshots');
+            }
+            this.manifest = manifest;
+        }
 
-        const now = new Date();
-        const hour = parseInt(match[1], 10);
-        const minute = parseInt(match[2], 10);
+        const { snapshots } = this.manifest;
+        const index = Math.min(this.step, snapshots.length - 1);
+        const snapshot = snapshots[index];
+        this.step = index + 1;
+        console.log(`[vrijeme] Replaying snapshot ${index + 1}/${snapshots.length}:`, snapshot.file, snapshot.description ?? '');
 
-        const measurementTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+        const response = await this.get(new URL(snapshot.file, manifestUrl).href);
+        const payload = await response.text();
+        if (payload === previousPayload) {
+            return { stations: null, payload, cachedAt: null };
+        }
 
-        // If measurement time is in the future, assume it's from yesterday
-        if (measurementTime > now) {
-            measurementTime.setDate(measurementTime.getDate() - 1);
+        // Parse as of the recording time (pljusak dates readings relative to "now")
+        const recordedAt = new Date(snapshot.recordedAt);
+        const stations = config.parser.parse(payload, recordedAt);
+        const shiftMs = Date.now() - recordedAt.getTime();
+        for (const station of Object.values(stations)) {
+            if (station.measurementTime) {
+                station.measurementTime = new Date(station.measurementTime.getTime() + shiftMs);
+            }
         }
+        return { stations, payload, cachedAt: null };
+    }
+};
+
+/**
+ * RefreshScheduler - Times fetches around the source's publish cadence
+ * (see `refresh` in DATA_SOURCES) instead of a fixed interval.
+ *
+ * After new data arrives, the next fetch is planned for when the following
+ * update should be out: latest measurementTime + publishIntervalMs +
+ * publishDelayMs. If that time has passed (the update is late), it polls
+ * every pollIntervalMs, doubling the wait up to maxPollIntervalMs for each
+ * fetch that comes back unchanged.
+ *
+ * Failed fetches are rescheduled by Retry instead.
+ */
+const RefreshScheduler = {
+    /** Pending refresh timeout */
+    timer: null,
+    /** Consecutive fetches that returned an unchanged payload */
+    unchangedCount: 0,
 
-        return measurementTime;
+    /**
+     * @param {Object<string, StationData>} stations
+     * @returns {number|null} Newest measurement time in ms, or null if none
+     */
+    getLatestMeasurement(stations) {
+        const times = Object.values(stations)
+            .map(s => s.measurementTime?.getTime())
+            .filter(time => isFinite(time));
+        return times.length > 0 ? Math.max(...times) : null;
     },
 
     /**
-     * Extracts all stations from pljusak.com podaci array.
-     * Filters out stations with readings older than 12 hours.
-     * @param {Array[]} podaci - Array of station data arrays
-     * @returns {Object<string, StationData>}
+     * Plan the next fetch after new data arrived.
+     * @param {Object<string, StationData>} stations
      */
-    extractStations(podaci) {
-        const I = this.INDICES;
-        /** @type {Object<string, StationData>} */
-        const result = {};
-        const now = Date.now();
-        let staleCount = 0;
+    onUpdate(stations) {
+        const refresh = getSourceConfig().refresh;
+        this.unchangedCount = 0;
+
+        const latest = this.getLatestMeasurement(stations);
+        const expected = latest !== null ? latest + refresh.publishIntervalMs + refresh.publishDelayMs : null;
+        const delay = expected !== null && expected > Date.now() ? expected - Date.now() : refresh.pollIntervalMs;
+        this.schedule(delay);
+    },
 
-        for (const entry of podaci) {
-            const name = entry[I.NAME];
-            if (!name) continue;
+    /** Plan the next fetch after the payload came back unchanged (back off) */
+    onUnchanged() {
+        const refresh = getSourceConfig().refresh;
+        this.unchangedCount++;
+        this.schedule(Math.min(refresh.pollIntervalMs * 2 ** this.unchangedCount, refresh.maxPollIntervalMs));
+    },
 
-            const tempStr = entry[I.TEMPERATURE];
-            // Skip if no valid temperature
-            if (tempStr === null || tempStr === undefined || tempStr === '-' || tempStr === '') continue;
+    /** @param {number} delay - ms until the next fetch */
+    schedule(delay) {
+        this.cancel();
+        this.timer = setTimeout(fetchWeatherData, delay);
+        console.log('[vrijeme] Next refresh in', Math.round(delay / 1000), 's');
+    },
 
-            const temperature = parseFloat(tempStr);
-            if (isNaN(temperature)) continue;
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+};
 
-            const lat = parseFloat(entry[I.LAT]);
-            const lon = parseFloat(entry[I.LON]);
-            if (!isFinite(lat) || !isFinite(lon)) continue;
+/**
+ * Fetches weather data from the configured source via the CORS proxy chain and updates the display.
+ */
+async function fetchWeatherData() {
+    // Prevent concurrent fetches (e.g., click + focus firing together)
+    if (fetchInProgress) {
+        console.log('[vrijeme] Fetch already in progress, skipping');
+        return;
+    }
+    fetchInProgress = true;
+    lastRefresh = Date.now();
+    RefreshScheduler.cancel();
 
-            const measurementTime = this.parseTime(entry[I.TIME]);
+    const widget = document.getElementById('widget');
 
-            // Filter out stations with stale readings (older than 12 hours)
-            if (!measurementTime || (now - measurementTime) > this.MAX_AGE_MS) {
-                staleCount++;
-                continue;
-            }
+    widget.classList.add('refreshing');
+    console.log('[vrijeme] Fetching weather data from', DATA_SOURCE);
 
-            const humidity = parseNumberOrNull(entry[I.HUMIDITY]);
-            const windSpeed = parseNumberOrNull(entry[I.WIND_SPEED]);
-            const dewpoint = parseNumberOrNull(entry[I.DEWPOINT]);
-
-            result[name] = {
-                name,
-                lat,
-                lon,
-                temperature,
-                humidity,
-                pressure: parseNumberOrNull(entry[I.PRESSURE]),
-                pressureTrend: parseNumberOrNull(entry[I.PRESSURE_TREND]),
-                windDirection: entry[I.WIND_DIR] || null,
-                windSpeed,
-                condition: this.generateDescription(temperature, humidity, windSpeed, dewpoint),
-                measurementTime
-            };
-        }
+    try {
+        // Compare with the previous payload only if its stations are still shown
+        const config = getSourceConfig();
+        const fetcher = config.fetcher ?? ProxyChain;
+        const { stations, payload, cachedAt, error: sourceError } = await fetcher.fetch(config, cachedStations ? lastPayload : null);
+
+        if (stations) {
+            console.log('[vrijeme] Found stations:', Object.keys(stations).length);
+            if (Object.keys(stations).length === 0) {
+                throw new FetchError('empty', 'No stations with valid data');
+            }
+            cachedStations = stations;
+            lastPayload = payload;
 
-        if (staleCount > 0) {
-            console.log('[vrijeme] Filtered out', staleCount, 'stations with readings older than 12h');
+            // Persist readings for the sparkline, then redraw it with the new data
+            History.record(cachedStations).then(() => Sparkline.redraw());
+            Snapshot.save(cachedStations);
+        } else {
+            console.log('[vrijeme] Payload unchanged, skipping re-parse');
         }
 
-        return result;
-    },
+        // Clear any previous error toast on successful fetch
+        hideToast();
 
-    /**
-     * Generates a weather description based on measured values.
-     * Used because pljusak.com doesn't provide condition text.
-     *
-     * @param {number} temp - Temperature in °C
-     * @param {number|null} humidity - Relative humidity in %
-     * @param {number|null} windSpeed - Wind speed in m/s
-     * @param {number|null} dewpoint - Dewpoint temperature in °C
-     * @returns {string} Weather description in Croatian
-     */
-    generateDescription(temp, humidity, windSpeed, dewpoint) {
-        // Wind levels (m/s)
-        const isCalm = windSpeed === null || windSpeed < 3;
-        const hasBreeze = windSpeed !== null && windSpeed >= 3 && windSpeed < 6;
-        const isWindy = windSpeed !== null && windSpeed >= 6 && windSpeed < 11;
-        const isStrongWind = windSpeed !== null && windSpeed >= 11;
-
-        // Fog: very strict - near-saturation, tight dewpoint spread, calm, cool temps.
-        // Real fog is rare; when uncertain, prefer non-fog descriptions.
-        const isFoggy = dewpoint !== null &&
-                        humidity !== null &&
-                        humidity >= 97 &&
-                        Math.abs(temp - dewpoint) <= 1 &&
-                        temp >= -3 && temp <= 15 &&
-                        isCalm;
+        if (cachedAt) {
+            // Offline: the service worker served its last good copy
+            console.log('[vrijeme] Offline, using data cached at', new Date(Number(cachedAt)));
+            showToast(t('toast.offline', { time: formatClockTime(new Date(Number(cachedAt)), getDisplayTimeZone()) }));
+            Retry.schedule(new FetchError('offline', 'Served from service worker cache'));
+        } else if (sourceError) {
+            // Combined source: one feed failed, the others are shown without it
+            showToast(describeFetchError(sourceError));
+            Retry.schedule(sourceError);
+        } else {
+            Retry.reset();
+            if (stations) {
+                RefreshScheduler.onUpdate(stations);
+            } else {
+                RefreshScheduler.onUnchanged();
+            }
+        }
 
-        // Humidity feel (temperature-dependent)
-        const isMuggy = humidity !== null && humidity >= 65 && temp >= 26;
-        const isOppressive = humidity !== null && humidity >= 75 && temp >= 30;
-        const isDamp = humidity !== null && humidity >= 85 && temp < 12;
-        const isDry = humidity !== null && humidity < 30 && temp >= 25;
-
-        // Fog (rare)
-        if (isFoggy) {
-            return temp <= 0 ? 'ledena magla' : 'magla';
-        }
-
-        // Extreme heat (>= 36°C)
-        if (temp >= 36) {
-            if (isOppressive) return 'neizdrživa sparina';
-            if (isMuggy) return 'teška vrućina';
-            return 'žega';
-        }
-
-        // Hot (30-36°C)
-        if (temp >= 30) {
-            if (isOppressive) return 'sparina';
-            if (isMuggy) return 'sparno';
-            if (isDry) return 'suha vrućina';
-            if (isStrongWind) return 'vruće, jak vjetar';
-            return 'vruće';
-        }
-
-        // Warm (25-30°C)
-        if (temp >= 25) {
-            if (isMuggy) return 'toplo i sparno';
-            if (hasBreeze) return 'toplo uz povjetarac';
-            if (isWindy || isStrongWind) return 'toplo, vjetrovito';
-            return 'toplo';
-        }
-
-        // Pleasant (20-25°C)
-        if (temp >= 20) {
-            if (humidity !== null && humidity >= 75) return 'toplo i vlažno';
-            if (hasBreeze) return 'ugodno';
-            if (isWindy) return 'ugodno uz vjetar';
-            if (isStrongWind) return 'umjereno, vjetrovito';
-            return 'ugodna temperatura';
-        }
-
-        // Mild (15-20°C)
-        if (temp >= 15) {
-            if (isStrongWind) return 'svježe, jak vjetar';
-            if (isWindy) return 'svježe uz vjetar';
-            if (isDamp) return 'svježe i vlažno';
-            return 'svježe';
-        }
-
-        // Cool (10-15°C)
-        if (temp >= 10) {
-            if (isStrongWind) return 'hladan vjetar';
-            if (isWindy) return 'prohladno uz vjetar';
-            if (isDamp) return 'prohladno i vlažno';
-            return 'prohladno';
-        }
-
-        // Chilly (5-10°C)
-        if (temp >= 5) {
-            if (isStrongWind) return 'oštar vjetar';
-            if (isWindy) return 'hladno uz vjetar';
-            if (isDamp) return 'neugodna vlaga';
-            return 'prohladno';
-        }
-
-        // Cold (0-5°C)
-        if (temp >= 0) {
-            if (isStrongWind) return 'prodoran vjetar';
-            if (isWindy) return 'hladno, vjetrovito';
-            if (isDamp) return 'vlažna hladnoća';
-            return 'hladno';
-        }
-
-        // Freezing (-5 to 0°C)
-        if (temp >= -5) {
-            if (isStrongWind) return 'ledeno, oštar vjetar';
-            if (isWindy) return 'ledeno uz vjetar';
-            return 'ledeno';
+        if (stations) {
+            showStations();
+        } else {
+            // Same readings, but their age moved on: refresh time labels and stale marks
+            renderSelectedStation();
+            if (StationMap.isOpen()) StationMap.renderStations();
+            if (StationTable.isOpen()) StationTable.renderRows();
         }
 
-        // Very cold (-10 to -5°C)
-        if (temp >= -10) {
-            if (isWindy || isStrongWind) return 'vrlo ledeno uz vjetar';
-            return 'vrlo ledeno';
+    } catch (error) {
+        console.error('[vrijeme] Error:', error);
+        // If we have cached data, show toast and keep displaying old data
+        if (cachedStations) {
+            console.log('[vrijeme] Using cached data due to fetch error');
+            showToast(describeFetchError(error));
+        } else {
+            renderError(describeFetchError(error));
         }
+        Retry.schedule(error);
+    } finally {
+        fetchInProgress = false;
+        widget.classList.remove('refreshing');
+    }
+}
 
-        // Extreme cold (< -10°C)
-        if (isWindy || isStrongWind) return 'jaka studen';
-        return 'studen';
-    },
+// =============================================================================
+// STATION TIME ZONE
+// =============================================================================
 
-    /**
-     * Formats measurement time for display (minute precision).
-     * @param {Date} date
-     * @returns {string} e.g., "19:05"
-     */
-    formatTime(date) {
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
-    }
-};
+/**
+ * Time zone for displaying measurement times, per user setting.
+ * @returns {string|undefined} STATION_TIME_ZONE, or undefined for the device zone
+ */
+function getDisplayTimeZone() {
+    return Settings.get('timeDisplay') === 'device' ? undefined : STATION_TIME_ZONE;
+}
+
+// =============================================================================
+// DERIVED QUANTITIES
+// =============================================================================
+
+/**
+ * Dew point from temperature and relative humidity (Magnus formula with
+ * Sonntag constants, accurate to ~0.4 °C between -45 and 60 °C).
+ * @param {number} temperature - °C
+ * @param {number|null} humidity - Relative humidity %
+ * @returns {number|null} Dew point in °C, or null without (valid) humidity
+ */
+function calculateDewPoint(temperature, humidity) {
+    if (humidity === null || humidity <= 0) return null;
+    const a = 17.62, b = 243.12;
+    const gamma = Math.log(humidity / 100) + a * temperature / (b + temperature);
+    return b * gamma / (a - gamma);
+}
+
+/**
+ * Dew point of a station: measured if the source provides it, computed otherwise.
+ * @param {StationData} station
+ * @returns {number|null} °C
+ */
+function getDewPoint(station) {
+    return station.dewPoint ?? calculateDewPoint(station.temperature, station.humidity);
+}
+
+/**
+ * Absolute humidity (mass of water vapor per volume of air).
+ * @param {number} temperature - °C
+ * @param {number|null} humidity - Relative humidity %
+ * @returns {number|null} g/m³
+ */
+function calculateAbsoluteHumidity(temperature, humidity) {
+    if (humidity === null) return null;
+    const saturationPressure = 6.112 * Math.exp(17.67 * temperature / (temperature + 243.5));
+    return saturationPressure * humidity * 2.1674 / (273.15 + temperature);
+}
+
+/**
+ * Wind chill (North American / UK formula). Defined only for temperatures
+ * up to 10 °C and wind above 4.8 km/h.
+ * @param {number} temperature - °C
+ * @param {number|null} windSpeed - m/s
+ * @returns {number|null} °C, or null outside the valid range
+ */
+function calculateWindChill(temperature, windSpeed) {
+    const kmh = windSpeed === null ? 0 : windSpeed * 3.6;
+    if (temperature > 10 || kmh <= 4.8) return null;
+    const v = Math.pow(kmh, 0.16);
+    return 13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v;
+}
+
+/**
+ * Heat index (NWS Rothfusz regression). Defined only from 27 °C and 40% humidity.
+ * @param {number} temperature - °C
+ * @param {number|null} humidity - Relative humidity %
+ * @returns {number|null} °C, or null outside the valid range
+ */
+function calculateHeatIndex(temperature, humidity) {
+    if (humidity === null || temperature < 27 || humidity < 40) return null;
+    // The regression is fitted in °F
+    const T = temperature * 9 / 5 + 32;
+    const R = humidity;
+    const hi = -42.379 + 2.04901523 * T + 10.14333127 * R
+        - 0.22475541 * T * R - 0.00683783 * T * T - 0.05481717 * R * R
+        + 0.00122874 * T * T * R + 0.00085282 * T * R * R - 0.00000199 * T * T * R * R;
+    return (hi - 32) * 5 / 9;
+}
 
 /**
- * Parses a string value as a number, or returns null if invalid.
- * @param {string|number|null} value
- * @returns {number|null}
+ * Apparent ("feels like") temperature: wind chill in the cold, heat index in
+ * the heat, the measured temperature in between.
+ * @param {StationData} station
+ * @returns {number} °C
  */
-function parseNumberOrNull(value) {
-    if (value === null || value === undefined || value === '-' || value === '') return null;
-    const num = parseFloat(value);
-    return isNaN(num) ? null : num;
+function calculateApparentTemperature(station) {
+    return calculateWindChill(station.temperature, station.windSpeed)
+        ?? calculateHeatIndex(station.temperature, station.humidity)
+        ?? station.temperature;
 }
 
 /**
@@ -739,7 +1499,7 @@ function getStationForLocation(allStations, location) {
     if (location === NEAREST_LOCATION) {
         // Use geolocation to find nearest station
         if (Geolocation.hasCoords()) {
-            const nearest = findNearestStation(allStations, Geolocation.coords.lat, Geolocation.coords.lon);
+            const nearest = findNearestShownStation(allStations, Geolocation.coords.lat, Geolocation.coords.lon);
             return nearest ? { station: allStations[nearest.name], distance: nearest.distance } : null;
         }
         return null;
@@ -749,45 +1509,27 @@ function getStationForLocation(allStations, location) {
 }
 
 /**
- * Calculates distance between two coordinates using Haversine formula.
- * @param {number} lat1
- * @param {number} lon1
- * @param {number} lat2
- * @param {number} lon2
- * @returns {number} Distance in kilometers
+ * Stations to list and map: cachedStations without the station classes hidden
+ * in settings. A station chosen by name is still shown in the widget.
+ * @returns {Object<string, StationData>}
  */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const toRad = deg => deg * Math.PI / 180;
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat / 2) ** 2 +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+function getShownStations() {
+    return filterStations(cachedStations ?? {}, Settings.get('hiddenStationClasses'));
 }
 
 /**
- * Finds the nearest station to given coordinates.
- * @param {Object<string, StationData>} stations
+ * Nearest station outside the hidden station classes and, if so set, without
+ * suspect readings. Falls back to any station when the filters leave none
+ * (better some station than none for "Najbliža").
+ * @param {Object<string, StationData>} allStations
  * @param {number} lat
  * @param {number} lon
- * @returns {{name: string, distance: number}|null} Station name and distance in km, or null if none found
+ * @returns {{name: string, distance: number}|null}
  */
-function findNearestStation(stations, lat, lon) {
-    let nearest = null;
-    let minDist = Infinity;
-
-    for (const [name, station] of Object.entries(stations)) {
-        if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
-        const dist = haversineDistance(lat, lon, station.lat, station.lon);
-        if (dist < minDist) {
-            minDist = dist;
-            nearest = name;
-        }
-    }
-
-    console.log('[vrijeme] Nearest station:', nearest, `(${minDist.toFixed(1)} km)`);
-    return nearest ? { name: nearest, distance: minDist } : null;
+function findNearestShownStation(allStations, lat, lon) {
+    let candidates = filterStations(allStations, Settings.get('hiddenStationClasses'));
+    if (Settings.get('skipSuspectStations')) candidates = withoutSuspect(candidates);
+    return findNearestStation(candidates, lat, lon) ?? findNearestStation(allStations, lat, lon);
 }
 
 /** Check if user has explicitly chosen a location */
@@ -805,9 +1547,89 @@ function setSelectedLocation(location) {
     localStorage.setItem(getLocationKey(), location);
 }
 
+/**
+ * Favorites - Per-source list of favorite stations, stored in localStorage.
+ * Order is the order in which stations were added (also the carousel order).
+ */
+const Favorites = {
+    /** @returns {string[]} Favorite station names for the current source */
+    getAll() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(getSourceConfig().favoritesKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch {
+            return [];
+        }
+    },
+
+    /** @param {string[]} names */
+    save(names) {
+        localStorage.setItem(getSourceConfig().favoritesKey, JSON.stringify(names));
+    },
+
+    /** @param {string} name */
+    has(name) {
+        return this.getAll().includes(name);
+    },
+
+    /**
+     * Add or remove a station from favorites and refresh all favorite indicators.
+     * @param {string} name
+     * @returns {boolean} Whether the station is a favorite after the toggle
+     */
+    toggle(name) {
+        const names = this.getAll();
+        const index = names.indexOf(name);
+        if (index >= 0) {
+            names.splice(index, 1);
+        } else {
+            names.push(name);
+        }
+        this.save(names);
+        console.log('[vrijeme] Favorites:', names);
+
+        LocationPicker.updateFavorites();
+        StationMap.updateLabelFavorite();
+        Carousel.update();
+        return index < 0;
+    },
+
+    /**
+     * Create a star button that toggles favorite state for a station.
+     * @param {string} name
+     * @returns {HTMLButtonElement}
+     */
+    createToggle(name) {
+        const btn = document.createElement('button');
+        btn.className = 'favorite-toggle';
+        btn.dataset.station = name;
+        this.updateToggle(btn);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            Favorites.toggle(name);
+        });
+        return btn;
+    },
+
+    /**
+     * Sync a star button with the current favorite state of its station.
+     * @param {HTMLButtonElement} btn
+     */
+    updateToggle(btn) {
+        const isFavorite = this.has(btn.dataset.station);
+        btn.textContent = isFavorite ? '★' : '☆';
+        btn.classList.toggle('active', isFavorite);
+        btn.setAttribute('aria-label', t(isFavorite ? 'favorite.remove' : 'favorite.add'));
+        btn.setAttribute('aria-pressed', isFavorite);
+    }
+};
+
 /** Special value for "show map" option in dropdown */
 const SHOW_MAP_OPTION = '__show_map__';
 
+/** Special value for "show station table" option in dropdown */
+const SHOW_TABLE_OPTION = '__show_table__';
+
 /**
  * LocationPicker - Handles the station selection dropdown.
  */
@@ -864,6 +1686,7 @@ const LocationPicker = {
      */
     populate(stationNames) {
         const dropdown = this.getDropdown();
+        const shown = getShownStations();
         const currentValue = getSelectedLocation();
         const self = this;
 
@@ -883,25 +1706,53 @@ const LocationPicker = {
         mapOpt.className = 'location-option map-option';
         mapOpt.setAttribute('role', 'option');
         mapOpt.dataset.value = SHOW_MAP_OPTION;
-        mapOpt.textContent = 'Izaberi na karti...';
+        mapOpt.textContent = t('location.onMap');
         mapOpt.addEventListener('click', () => {
             self.close(false);  // Don't pop history, map will replace the state
             StationMap.openModal(true);  // Replace dropdown's history entry
         });
         dropdown.appendChild(mapOpt);
 
-        // Add all station options
-        stationNames.forEach(name => {
+        // Add "Station table" option third
+        const tableOpt = document.createElement('div');
+        tableOpt.className = 'location-option table-option';
+        tableOpt.setAttribute('role', 'option');
+        tableOpt.dataset.value = SHOW_TABLE_OPTION;
+        tableOpt.textContent = t('location.allStations');
+        tableOpt.addEventListener('click', () => {
+            self.close(false);  // Don't pop history, table will replace the state
+            StationTable.openModal(true);  // Replace dropdown's history entry
+        });
+        dropdown.appendChild(tableOpt);
+
+        // Add all station options (except hidden classes), each with a favorite toggle
+        stationNames.filter(name => name in shown).forEach(name => {
             const opt = document.createElement('div');
-            opt.className = 'location-option' + (name === currentValue ? ' selected' : '');
+            opt.className = 'location-option station-option' + (name === currentValue ? ' selected' : '');
             opt.setAttribute('role', 'option');
             opt.dataset.value = name;
-            opt.textContent = name;
+            const label = document.createElement('span');
+            label.textContent = name;
+            // In combined mode, tell the networks apart
+            const source = cachedStations?.[name]?.source;
+            if (source) {
+                const badge = document.createElement('span');
+                badge.className = 'network-badge';
+                badge.textContent = DATA_SOURCES[source].label;
+                label.appendChild(badge);
+            }
+            opt.appendChild(label);
+            opt.appendChild(Favorites.createToggle(name));
             opt.addEventListener('click', () => self.select(name));
             dropdown.appendChild(opt);
         });
     },
 
+    /** Sync favorite stars in the dropdown with stored favorites */
+    updateFavorites() {
+        this.getDropdown().querySelectorAll('.favorite-toggle').forEach(btn => Favorites.updateToggle(btn));
+    },
+
     /**
      * Get display label for an option.
      * @param {string} location
@@ -910,12 +1761,12 @@ const LocationPicker = {
     getLabel(location) {
         if (location === NEAREST_LOCATION) {
             if (Geolocation.hasCoords() && cachedStations) {
-                const nearest = findNearestStation(cachedStations, Geolocation.coords.lat, Geolocation.coords.lon);
-                if (nearest) return `${NEAREST_LOCATION} (${nearest.name})`;
+                const nearest = findNearestShownStation(cachedStations, Geolocation.coords.lat, Geolocation.coords.lon);
+                if (nearest) return t('location.nearestStation', { name: nearest.name });
             }
-            if (Geolocation.status === 'denied') return `${NEAREST_LOCATION} (lokacija onemogućena)`;
-            if (Geolocation.status === 'unavailable') return `${NEAREST_LOCATION} (lokacija nedostupna)`;
-            return NEAREST_LOCATION;
+            if (Geolocation.status === 'denied') return t('location.nearestDenied');
+            if (Geolocation.status === 'unavailable') return t('location.nearestUnavailable');
+            return t('location.nearest');
         }
         return location;
     },
@@ -1000,6 +1851,9 @@ const LocationPicker = {
                     if (value === SHOW_MAP_OPTION) {
                         this.close(false);  // Don't pop history, map will replace the state
                         StationMap.openModal(true);  // Replace dropdown's history entry
+                    } else if (value === SHOW_TABLE_OPTION) {
+                        this.close(false);
+                        StationTable.openModal(true);
                     } else {
                         this.select(value);
                     }
@@ -1059,20 +1913,27 @@ const LocationPicker = {
 LocationPicker.init();
 
 /**
- * SourceSwitcher - Handles toggling between data sources (DHMZ/pljusak).
+ * SourceSwitcher - Picker for the data source (PICKABLE_SOURCES), opened from
+ * the source label in the widget and in the map.
  *
  * When switching sources, finds the nearest station in the new source:
  * - If "Najbliža" was selected: uses user's GPS to find nearest
  * - Otherwise: uses old station's coordinates to find nearest in new source
  */
 const SourceSwitcher = {
+    /** Trigger buttons and the menus they open (widget and map) */
+    PICKERS: [
+        { trigger: 'source-trigger', menu: 'source-menu' },
+        { trigger: 'map-source', menu: 'map-source-menu' }
+    ],
+
     /** Update button labels to show current source (widget and map) */
     updateLabel() {
         const label = getSourceConfig().label;
-        const btn = document.getElementById('source-trigger');
-        if (btn) btn.textContent = label;
-        const mapBtn = document.getElementById('map-source');
-        if (mapBtn) mapBtn.textContent = label;
+        for (const { trigger } of this.PICKERS) {
+            const btn = document.getElementById(trigger);
+            if (btn) btn.textContent = label;
+        }
     },
 
     /** Update URL to reflect current source (without page reload) */
@@ -1083,18 +1944,83 @@ const SourceSwitcher = {
         } else {
             url.searchParams.set('source', DATA_SOURCE);
         }
+        if (DATA_SOURCE !== 'fixture') {
+            url.searchParams.delete('replay');
+            url.searchParams.delete('step');
+        }
         history.replaceState(null, '', url);
     },
 
-    /** Toggle to the other source and reload data */
-    async toggle() {
+    // --- Menu ---
+    /**
+     * Fill a menu with the pickable sources, marking the current one.
+     * @param {HTMLElement} menu
+     */
+    populate(menu) {
+        const self = this;
+        menu.innerHTML = '';
+        for (const source of PICKABLE_SOURCES) {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'location-option source-option' + (source === DATA_SOURCE ? ' selected' : '');
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', source === DATA_SOURCE);
+            option.dataset.value = source;
+
+            const label = document.createElement('span');
+            label.textContent = DATA_SOURCES[source].label;
+            const description = document.createElement('span');
+            description.className = 'source-description';
+            description.textContent = t(`source.${source}`);
+            option.append(label, description);
+
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                self.close();
+                self.select(source);
+            });
+            menu.appendChild(option);
+        }
+    },
+
+    /**
+     * Open the menu belonging to a trigger (closing any other).
+     * @param {{trigger: string, menu: string}} picker - Entry of PICKERS
+     */
+    open(picker) {
+        this.close();
+        const menu = document.getElementById(picker.menu);
+        this.populate(menu);
+        menu.hidden = false;
+        document.getElementById(picker.trigger).setAttribute('aria-expanded', 'true');
+        menu.querySelector('.selected')?.focus();
+    },
+
+    close() {
+        for (const { trigger, menu } of this.PICKERS) {
+            const menuEl = document.getElementById(menu);
+            if (menuEl) menuEl.hidden = true;
+            document.getElementById(trigger)?.setAttribute('aria-expanded', 'false');
+        }
+    },
+
+    isOpen() {
+        return this.PICKERS.some(({ menu }) => document.getElementById(menu)?.hidden === false);
+    },
+
+    /**
+     * Switch to a source and reload data.
+     * @param {'dhmz' | 'pljusak' | 'arso'} newSource
+     */
+    async select(newSource) {
+        if (newSource === DATA_SOURCE) return;
+
         // Capture old station info before switching
         const oldLocation = getSelectedLocation();
         const oldStation = cachedStations?.[oldLocation] ?? null;
         const wasNearest = oldLocation === NEAREST_LOCATION;
 
         // Switch source
-        const newSource = DATA_SOURCE === 'dhmz' ? 'pljusak' : 'dhmz';
         DATA_SOURCE = newSource;
         saveSource(newSource);
         this.updateLabel();
@@ -1112,38 +2038,165 @@ const SourceSwitcher = {
                 // "Najbliža" was selected - keep it (nearest logic uses GPS automatically)
                 setSelectedLocation(NEAREST_LOCATION);
             } else if (oldStation && isFinite(oldStation.lat) && isFinite(oldStation.lon)) {
-                // Find station nearest to old station's coordinates
-                const nearest = findNearestStation(cachedStations, oldStation.lat, oldStation.lon);
+                // Find the shown station nearest to the old station's coordinates
+                const nearest = findNearestShownStation(cachedStations, oldStation.lat, oldStation.lon);
                 if (nearest) {
                     console.log('[vrijeme] Source switch: mapped', oldLocation, '→', nearest.name);
                     setSelectedLocation(nearest.name);
                 }
             }
             renderSelectedStation();
+            if (StationMap.isOpen()) StationMap.renderStations();
         }
     },
 
     init() {
         const self = this;
-        const btn = document.getElementById('source-trigger');
 
-        if (btn) {
-            this.updateLabel();
-            btn.addEventListener('click', () => self.toggle());
+        for (const picker of this.PICKERS) {
+            const btn = document.getElementById(picker.trigger);
+            if (!btn) continue;
+            btn.setAttribute('aria-haspopup', 'listbox');
+            btn.setAttribute('aria-expanded', 'false');
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const menu = document.getElementById(picker.menu);
+                if (menu.hidden) {
+                    self.open(picker);
+                } else {
+                    self.close();
+                }
+            });
         }
+        this.updateLabel();
+
+        // Close when clicking outside or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.source-menu')) self.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && self.isOpen()) {
+                e.stopImmediatePropagation();
+                self.close();
+            }
+        }, true);
     }
 };
 
 // Initialize source switcher
 SourceSwitcher.init();
 
+/**
+ * Carousel - Swipe or arrow-key navigation between favorite stations.
+ *
+ * Stepping selects the next/previous favorite through LocationPicker.select(),
+ * so it goes through the same storage and render path as picking from the
+ * dropdown. When the current station isn't a favorite (e.g., "Najbliža"),
+ * the next step goes to the first favorite and the previous step to the last.
+ */
+const Carousel = {
+    /** Minimum horizontal travel (px) for a touch to count as a swipe */
+    SWIPE_THRESHOLD: 50,
+    /** Touch start position, or null when no swipe is in progress */
+    touchStart: null,
+
+    /** Favorites that exist in the current data (stations can disappear) */
+    getStations() {
+        const favorites = Favorites.getAll();
+        return cachedStations ? favorites.filter(name => name in cachedStations) : favorites;
+    },
+
+    /**
+     * Move to the next or previous favorite.
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    step(direction) {
+        const stations = this.getStations();
+        if (stations.length === 0) return;
+
+        const index = stations.indexOf(getSelectedLocation());
+        let next;
+        if (index < 0) {
+            next = direction > 0 ? 0 : stations.length - 1;
+        } else {
+            next = (index + direction + stations.length) % stations.length;
+        }
+        if (next === index) return;
+
+        this.animate(direction);
+        LocationPicker.select(stations[next]);
+    },
+
+    /** Play a short slide-in animation in the direction of travel */
+    animate(direction) {
+        const weather = document.getElementById('weather');
+        weather.classList.remove('slide-next', 'slide-prev');
+        // Force reflow so re-adding the class restarts the animation
+        void weather.offsetWidth;
+        weather.classList.add(direction > 0 ? 'slide-next' : 'slide-prev');
+    },
+
+    /** Update the position indicator dots below the widget */
+    update() {
+        const dots = document.getElementById('carousel-dots');
+        const stations = this.getStations();
+        const current = getSelectedLocation();
+
+        dots.innerHTML = '';
+        dots.hidden = stations.length === 0;
+        stations.forEach(name => {
+            const dot = document.createElement('button');
+            dot.className = 'carousel-dot' + (name === current ? ' active' : '');
+            dot.setAttribute('aria-label', name);
+            dot.addEventListener('click', () => LocationPicker.select(name));
+            dots.appendChild(dot);
+        });
+    },
+
+    init() {
+        const self = this;
+        const weather = document.getElementById('weather');
+
+        weather.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) {
+                self.touchStart = null;
+                return;
+            }
+            self.touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true });
+
+        weather.addEventListener('touchend', (e) => {
+            if (!self.touchStart) return;
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - self.touchStart.x;
+            const dy = touch.clientY - self.touchStart.y;
+            self.touchStart = null;
+            // Only mostly-horizontal swipes, so vertical scrolling isn't hijacked
+            if (Math.abs(dx) > self.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy) * 2) {
+                self.step(dx < 0 ? 1 : -1);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            // Arrow keys belong to the dropdown and modals while they're open
+            if (isOverlayOpen()) return;
+            e.preventDefault();
+            self.step(e.key === 'ArrowRight' ? 1 : -1);
+        });
+    }
+};
+
+// Initialize favorites carousel
+Carousel.init();
+
 /** Render the currently selected station from cached data */
 function renderSelectedStation() {
     if (!cachedStations) return;
 
     const stationNames = Object.keys(cachedStations);
     if (stationNames.length === 0) {
-        renderError('Nema podataka o stanicama');
+        renderError(t('error.noStations'));
         return;
     }
 
@@ -1153,15 +2206,15 @@ function renderSelectedStation() {
     // If NEAREST_LOCATION selected but no coords yet
     if (!result && selectedLocation === NEAREST_LOCATION) {
         if (Geolocation.status === 'denied') {
-            renderError('Lokacija je onemogućena. Omogućite lokaciju u postavkama uređaja ili izaberite stanicu ručno.');
+            renderError(t('error.locationDenied'));
             return;
         }
         if (Geolocation.status === 'unavailable') {
-            renderError('Lokacija nije dostupna. Izaberite stanicu ručno.');
+            renderError(t('error.locationUnavailable'));
             return;
         }
         // Still waiting for geolocation - show feedback
-        renderStatus('Tražim lokaciju...');
+        renderStatus(t('status.locating'));
         return;
     }
 
@@ -1185,26 +2238,6 @@ function renderSelectedStation() {
     render(result.station, result.distance);
 }
 
-/**
- * Gets text content of a child element, or null if empty/missing.
- * @param {Element} parent
- * @param {string} selector
- * @returns {string|null}
- */
-function getTextOrNull(parent, selector) {
-    const el = parent.querySelector(selector);
-    const text = el?.textContent.trim();
-    return (text && text !== '-') ? text : null;
-}
-
-/** Helper to get numeric content from an XML element, or null if missing/invalid */
-function getNumberOrNull(parent, selector) {
-    const text = getTextOrNull(parent, selector);
-    if (text === null) return null;
-    const num = parseFloat(text);
-    return isNaN(num) ? null : num;
-}
-
 /** Helper to show/hide an element */
 function show(id) { document.getElementById(id).hidden = false; }
 function hide(id) { document.getElementById(id).hidden = true; }
@@ -1238,33 +2271,32 @@ function hideToast() {
 }
 
 /**
- * Parses station name into display components.
- * For city stations (e.g., "Zagreb-Grič" or "Zagreb, Podsused"), returns city as title
- * and location as subtitle. Separator depends on data source.
- * For other stations, returns full name as title with no subtitle.
- * @param {string} name - Station name
- * @returns {{title: string, subtitle: string|null}}
+ * Normalizes text for search: lowercase, without diacritics.
+ * "Čakovec" → "cakovec", "Đakovo" → "dakovo" (đ has no Unicode decomposition).
+ * @param {string} text
+ * @returns {string}
  */
-function parseStationName(name) {
-    const config = getSourceConfig();
-    const separator = config.nameSeparator;
-    const sepIndex = name.indexOf(separator);
-    if (sepIndex > 0) {
-        const prefix = name.substring(0, sepIndex);
-        // If cityPrefixes is null, always split; otherwise check whitelist
-        if (config.cityPrefixes === null || config.cityPrefixes.includes(prefix)) {
-            return {
-                title: prefix,
-                subtitle: name.substring(sepIndex + separator.length)
-            };
-        }
-    }
-    return { title: name, subtitle: null };
+function normalizeForSearch(text) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd');
 }
 
 /** Threshold for showing distance warning (in km) */
 const DISTANCE_WARNING_THRESHOLD = 20;
 
+/**
+ * @param {import('./lib/quality.js').SuspectReading} reading
+ * @returns {string} Why the reading was flagged, e.g., "Temperature 9.0 °C above nearby stations"
+ */
+function describeSuspectReading(reading) {
+    const amount = Math.abs(reading.deviation);
+    return t(`quality.${reading.reason}`, {
+        amount: reading.reason === 'humidity' ? `${Math.round(amount)}%` : Units.formatTemperatureChange(amount, false)
+    });
+}
+
 /**
  * Renders weather data to the widget.
  * @param {StationData} station
@@ -1278,14 +2310,18 @@ function render(station, distance) {
     document.getElementById('humidity-container').classList.add('empty');
     document.getElementById('pressure-container').classList.add('empty');
     document.getElementById('wind-container').classList.add('empty');
+    document.getElementById('dew-point-container').classList.add('empty');
+    document.getElementById('absolute-humidity-container').classList.add('empty');
 
     // Parse station name for city stations (e.g., "Zagreb-Grič" → "Zagreb" + "Grič")
-    const { title, subtitle } = parseStationName(station.name);
+    const { title, subtitle } = parseStationName(station.name, getStationSourceConfig(station));
     setText('title', title);
-    setText('temperature', station.temperature.toFixed(1));
+    setText('temperature', Units.formatTemperature(station.temperature));
+    setText('temperature-unit', Units.temperatureLabel());
+    Sparkline.draw(station);
 
     // Format and display measurement time, with stale color if needed
-    const { formattedTime, isStale } = formatMeasurementTime(station.measurementTime);
+    const { formattedTime, isStale } = formatMeasurementTime(station.measurementTime, getStationSourceConfig(station));
     const timeEl = document.getElementById('time');
 
     timeEl.textContent = formattedTime;
@@ -1310,8 +2346,18 @@ function render(station, distance) {
         distanceWarning.hidden = true;
     }
 
-    if (station.condition) {
-        setText('condition', station.condition.charAt(0).toUpperCase() + station.condition.slice(1));
+    // Warn about readings that disagree with nearby stations (details in the detail modal)
+    const qualityWarning = document.getElementById('quality-warning');
+    if (station.suspect?.length) {
+        qualityWarning.title = station.suspect.map(describeSuspectReading).join('\n');
+        qualityWarning.hidden = false;
+    } else {
+        qualityWarning.hidden = true;
+    }
+
+    const condition = describeCondition(station);
+    if (condition) {
+        setText('condition', condition.charAt(0).toUpperCase() + condition.slice(1));
     } else {
         setText('condition', '—');
     }
@@ -1323,7 +2369,9 @@ function render(station, distance) {
     }
 
     if (station.pressure !== null) {
-        setText('pressure', Math.round(station.pressure));
+        setText('pressure', Units.formatPressure(station.pressure));
+        // hPa is obvious from the value; other units need a label
+        setText('pressure-unit', Settings.get('pressureUnit') === 'hPa' ? '' : ` ${Units.pressureLabel()}`);
         const trend = station.pressureTrend;
         const arrow = trend > 0 ? '▲' : trend < 0 ? '▼' : '';
         setText('pressure-trend', arrow);
@@ -1332,10 +2380,27 @@ function render(station, distance) {
 
     if (station.windSpeed !== null && station.windSpeed > 0) {
         const dir = (station.windDirection && station.windDirection !== 'C') ? ` ${station.windDirection}` : '';
-        setText('wind', `${station.windSpeed} m/s${dir}`);
+        setText('wind', `${Units.formatWind(station.windSpeed)}${dir}`);
         document.getElementById('wind-container').classList.remove('empty');
     }
 
+    // Derived quantities (second row)
+    const temperatureUnit = Units.temperatureLabel();
+    setText('feels-like', `${Units.formatTemperature(calculateApparentTemperature(station))}${temperatureUnit}`);
+
+    const dewPoint = getDewPoint(station);
+    if (dewPoint !== null) {
+        setText('dew-point', `${Units.formatTemperature(dewPoint)}${temperatureUnit}`);
+        document.getElementById('dew-point-container').classList.remove('empty');
+    }
+
+    const absoluteHumidity = calculateAbsoluteHumidity(station.temperature, station.humidity);
+    if (absoluteHumidity !== null) {
+        setText('absolute-humidity', absoluteHumidity.toFixed(1));
+        document.getElementById('absolute-humidity-container').classList.remove('empty');
+    }
+
+    Carousel.update();
     show('weather');
 }
 
@@ -1366,19 +2431,20 @@ function renderStatus(message, showCancel = true) {
 /**
  * Formats measurement time for display and checks if data is stale.
  * @param {Date|null} measurementTime
+ * @param {Object} [config] - Configuration of the station's source, current source if omitted
  * @returns {{formattedTime: string, isStale: boolean}}
  */
-function formatMeasurementTime(measurementTime) {
+function formatMeasurementTime(measurementTime, config = getSourceConfig()) {
     if (!measurementTime) {
         return { formattedTime: '', isStale: false };
     }
 
     const ageMs = Date.now() - measurementTime;
 
-    // Use source-specific time formatting, or "staro" if too old
+    // Use source-specific time formatting, or "staro" (old) if too old
     const formattedTime = ageMs > OLD_THRESHOLD_MS
-        ? 'staro'
-        : getSourceConfig().parser.formatTime(measurementTime);
+        ? t('time.old')
+        : config.parser.formatTime(measurementTime, getDisplayTimeZone());
 
     return {
         formattedTime,
@@ -1386,45 +2452,332 @@ function formatMeasurementTime(measurementTime) {
     };
 }
 
-// --- Initialization ---
+// --- Measurement History ---
 
-fetchWeatherData();
-setInterval(fetchWeatherData, REFRESH_INTERVAL);
+/** Time span covered by the temperature sparkline (24 hours) */
+const SPARKLINE_WINDOW_MS = 24 * 60 * 60 * 1000;
 
-// Auto-refresh when returning to the app (mobile PWA)
-// Multiple events for reliability; throttled via lastRefresh set by fetchWeatherData
-function refreshIfStale() {
-    if (Date.now() - lastRefresh > 5000) {
-        fetchWeatherData();
-        return true;
-    }
-    return false;
-}
-document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'visible') refreshIfStale();
-});
-window.addEventListener('pageshow', refreshIfStale);
-window.addEventListener('focus', refreshIfStale);
+/** Readings older than this are pruned from history (48 hours) */
+const HISTORY_RETENTION_MS = 48 * 60 * 60 * 1000;
 
-if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('sw.js')
-        .catch(err => console.warn('[SW] Registration failed:', err));
-}
+/**
+ * History - Persists every parsed measurement in IndexedDB.
+ *
+ * Records are keyed by [source, station name, measurement time], so fetching
+ * the same DHMZ term (or an unchanged pljusak reading) twice overwrites the
+ * existing record instead of adding a duplicate.
+ *
+ * History is a nice-to-have: all failures are logged and swallowed, so a
+ * browser without IndexedDB (or with storage disabled) still shows current data.
+ */
+const History = {
+    DB_NAME: 'vrijeme-history',
+    STORE_NAME: 'readings',
+    /** Promise for the opened database (created lazily) */
+    dbPromise: null,
 
-// Tap on conditions to refresh (always fetches, no throttle)
-document.getElementById('condition-container').addEventListener('click', fetchWeatherData);
+    /**
+     * Open (and if needed create) the history database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            const self = this;
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+                const request = indexedDB.open(self.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(self.STORE_NAME, {
+                        keyPath: ['source', 'name', 'time']
+                    });
+                    store.createIndex('time', 'time');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
 
-// Toast dismiss button
-document.getElementById('toast-dismiss').addEventListener('click', hideToast);
+    /**
+     * Wraps an IDBTransaction in a promise that settles when it completes.
+     * @param {IDBTransaction} tx
+     * @returns {Promise<void>}
+     */
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
 
-// --- Station Map ---
+    /**
+     * Feed a station's readings are kept under: its own source in combined
+     * mode, so they're shared with the single-source modes.
+     * @param {StationData} station
+     * @returns {string} Data source key ('dhmz', 'pljusak', ...)
+     */
+    sourceOf(station) {
+        return station.source ?? DATA_SOURCE;
+    },
 
-/**
- * StationMap - Handles all map-related state and interactions.
- *
- * Interaction modes:
- * - Desktop: hover highlights nearest station + shows tooltip,
- *            single-click selects and closes map,
+    /**
+     * Store temperature readings for all stations, then prune old records.
+     * Stations without a measurement time are skipped (nothing to key them by).
+     * @param {Object<string, StationData>} stations
+     * @returns {Promise<void>}
+     */
+    async record(stations) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            const store = tx.objectStore(this.STORE_NAME);
+            let count = 0;
+
+            for (const station of Object.values(stations)) {
+                if (!station.measurementTime) continue;
+                store.put({
+                    source: this.sourceOf(station),
+                    name: station.name,
+                    time: station.measurementTime.getTime(),
+                    temperature: station.temperature
+                });
+                count++;
+            }
+
+            // Prune expired records in the same transaction
+            const cutoff = IDBKeyRange.upperBound(Date.now() - HISTORY_RETENTION_MS);
+            store.index('time').openCursor(cutoff).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            await this.complete(tx);
+            console.log('[vrijeme] History: stored', count, 'readings');
+        } catch (error) {
+            console.warn('[vrijeme] History: failed to store readings:', error);
+        }
+    },
+
+    /**
+     * Get readings for one station since the given time, oldest first.
+     * @param {string} source
+     * @param {string} name - Station name
+     * @param {number} sinceMs - Start of range (epoch milliseconds)
+     * @returns {Promise<{time: number, temperature: number}[]>}
+     */
+    async getSeries(source, name, sinceMs) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORE_NAME, 'readonly');
+            const range = IDBKeyRange.bound([source, name, sinceMs], [source, name, Infinity]);
+            const request = tx.objectStore(this.STORE_NAME).getAll(range);
+            return await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('[vrijeme] History: failed to read readings:', error);
+            return [];
+        }
+    }
+};
+
+/**
+ * Sparkline - Draws the last 24 hours of temperature under the main reading.
+ *
+ * The SVG keeps its space in the layout even when empty (like the detail
+ * items), so the widget doesn't jump when history becomes available.
+ */
+const Sparkline = {
+    /** SVG viewBox dimensions */
+    width: 300,
+    height: 40,
+    /** Vertical padding so the line and end dot aren't clipped */
+    padding: 4,
+    /** Station currently shown (used to discard results of outdated draws) */
+    station: null,
+
+    /**
+     * Draw the sparkline for a station (asynchronously, from history).
+     * @param {StationData} station
+     */
+    async draw(station) {
+        this.station = station;
+        const svg = document.getElementById('sparkline');
+        const series = await History.getSeries(History.sourceOf(station), station.name, Date.now() - SPARKLINE_WINDOW_MS);
+
+        // Another station was rendered while we were reading history
+        if (this.station !== station) return;
+        this.plot(svg, series);
+    },
+
+    /**
+     * Draw a series into a sparkline SVG (one with this viewBox), or empty it
+     * when there are fewer than two readings.
+     * @param {SVGSVGElement} svg
+     * @param {{time: number, temperature: number}[]} series - Readings of the last 24 hours, oldest first
+     * @returns {{min: number, max: number}|null} Temperature range drawn
+     */
+    plot(svg, series) {
+        if (series.length < 2) {
+            svg.innerHTML = '';
+            svg.classList.add('empty');
+            return null;
+        }
+
+        const temps = series.map(r => r.temperature);
+        const min = Math.min(...temps);
+        const max = Math.max(...temps);
+        // Avoid division by zero for a flat line; center it vertically instead
+        const range = max - min || 1;
+        const end = Date.now();
+        const start = end - SPARKLINE_WINDOW_MS;
+        const innerHeight = this.height - 2 * this.padding;
+
+        const points = series.map(r => {
+            const x = (r.time - start) / SPARKLINE_WINDOW_MS * this.width;
+            const y = max === min
+                ? this.height / 2
+                : this.padding + (max - r.temperature) / range * innerHeight;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        const [lastX, lastY] = points[points.length - 1].split(',');
+
+        svg.innerHTML =
+            `<polyline class="sparkline-line" points="${points.join(' ')}"/>` +
+            `<circle class="sparkline-dot" cx="${lastX}" cy="${lastY}" r="2.5"/>`;
+        svg.setAttribute('aria-label',
+            `24h: ${Units.formatTemperature(min)} – ${Units.formatTemperature(max)} ${Units.temperatureLabel()}`);
+        svg.classList.remove('empty');
+        return { min, max };
+    },
+
+    /** Redraw for the current station (e.g., after new readings were stored) */
+    redraw() {
+        if (this.station) this.draw(this.station);
+    }
+};
+
+// --- Station Snapshot ---
+
+/**
+ * Snapshot - The last parsed station map per source, persisted in localStorage
+ * so startup can render immediately instead of waiting for the proxy.
+ *
+ * localStorage rather than IndexedDB because it's synchronous: the snapshot is
+ * on screen before the first paint.
+ */
+const Snapshot = {
+    /** Maximum snapshot age - older ones aren't shown at launch (12 hours, half a day of weather) */
+    MAX_AGE_MS: 12 * 60 * 60 * 1000,
+
+    /**
+     * Persist stations for the current source. Failures (e.g., quota) are logged
+     * and ignored; the next launch just waits for the network as before.
+     * @param {Object<string, StationData>} stations
+     */
+    save(stations) {
+        const key = getSourceConfig().snapshotKey;
+        if (!key) return;
+        try {
+            const snapshot = { fetchedAt: Date.now(), stations };
+            localStorage.setItem(key, JSON.stringify(snapshot));
+        } catch (error) {
+            console.warn('[vrijeme] Failed to save snapshot:', error);
+        }
+    },
+
+    /**
+     * Load the saved stations for the current source. Snapshots older than
+     * MAX_AGE_MS are dropped, so a launch after a long break waits for fresh
+     * data instead of showing yesterday's temperatures.
+     * @returns {Object<string, StationData>|null} Stations with Dates revived, or null if none/too old
+     */
+    load() {
+        const key = getSourceConfig().snapshotKey;
+        if (!key) return null;
+        let snapshot;
+        try {
+            snapshot = JSON.parse(localStorage.getItem(key));
+        } catch {
+            return null;
+        }
+        if (!snapshot?.stations) return null;
+        if (!(Date.now() - snapshot.fetchedAt <= this.MAX_AGE_MS)) {
+            console.log('[vrijeme] Ignoring stale snapshot from', new Date(snapshot.fetchedAt));
+            return null;
+        }
+
+        // JSON turns Dates into ISO strings
+        for (const station of Object.values(snapshot.stations)) {
+            station.measurementTime = station.measurementTime ? new Date(station.measurementTime) : null;
+        }
+        console.log('[vrijeme] Loaded snapshot from', new Date(snapshot.fetchedAt));
+        return snapshot.stations;
+    }
+};
+
+/** Fill the dropdown from cachedStations and render the selected station */
+function showStations() {
+    const collator = new Intl.Collator('hr');
+    LocationPicker.populate(Object.keys(cachedStations).sort(collator.compare));
+    Geolocation.request();
+    renderSelectedStation();
+}
+
+// --- Initialization ---
+
+// Show the last snapshot right away; the fetch below refreshes it in the background
+cachedStations = Snapshot.load();
+if (cachedStations) showStations();
+
+// Later fetches are timed by RefreshScheduler (or Retry after failures)
+fetchWeatherData();
+
+// Auto-refresh when returning to the app (mobile PWA)
+// Multiple events for reliability; throttled via lastRefresh set by fetchWeatherData
+function refreshIfStale() {
+    if (Date.now() - lastRefresh > 5000) {
+        fetchWeatherData();
+        return true;
+    }
+    return false;
+}
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refreshIfStale();
+});
+window.addEventListener('pageshow', refreshIfStale);
+window.addEventListener('focus', refreshIfStale);
+// Don't wait for a scheduled retry once the connection is back
+window.addEventListener('online', () => fetchWeatherData());
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js')
+        .catch(err => console.warn('[SW] Registration failed:', err));
+}
+
+// Tap on conditions to refresh (always fetches, no throttle)
+document.getElementById('condition-container').addEventListener('click', fetchWeatherData);
+
+// Toast dismiss button
+document.getElementById('toast-dismiss').addEventListener('click', hideToast);
+
+// --- Station Map ---
+
+/**
+ * StationMap - Handles all map-related state and interactions.
+ *
+ * Interaction modes:
+ * - Desktop: hover highlights nearest station + shows tooltip,
+ *            single-click selects and closes map,
  *            scroll wheel to zoom, drag to pan when zoomed in
  * - Mobile:  tap highlights station + shows label, second tap selects,
  *            pinch to zoom, drag to pan when zoomed in
@@ -1436,19 +2789,92 @@ const StationMap = {
         latCorrection: 0.85,
         /** Original SVG width before latitude correction */
         originalWidth: 610,
-        /** SVG viewBox dimensions (width is corrected for latitude) */
+        /** Height of the Croatia-only frame the outline path was drawn in */
+        originalHeight: 476,
+        /** SVG viewBox dimensions (width is corrected for latitude, height extended to bounds) */
         get viewBox() {
-            return { width: this.originalWidth * this.latCorrection, height: 476 };
+            const { bounds, outlineBounds } = this;
+            const height = this.originalHeight * (bounds.maxLat - bounds.minLat) / (outlineBounds.maxLat - outlineBounds.minLat);
+            return { width: this.originalWidth * this.latCorrection, height };
+        },
+        /** Croatia and Slovenia lat/lon bounding box (with padding) */
+        bounds: { minLon: 13.2, maxLon: 19.6, minLat: 42.2, maxLat: 47.0 },
+        /** Bounding box of the frame the outline path coordinates refer to (same longitudes) */
+        outlineBounds: { minLon: 13.2, maxLon: 19.6, minLat: 42.2, maxLat: 46.7 },
+        /** Shift of the outline path into base coordinates (bounds reach further north) */
+        get outlineOffsetY() {
+            const { bounds, outlineBounds } = this;
+            return (bounds.maxLat - outlineBounds.maxLat) / (outlineBounds.maxLat - outlineBounds.minLat) * this.originalHeight;
         },
-        /** Croatia lat/lon bounding box (with padding) */
-        bounds: { minLon: 13.2, maxLon: 19.6, minLat: 42.2, maxLat: 46.7 },
         /** Snap distance for station selection (km) at zoom level 1 */
         snapDistance: 20,
         /** Zoom limits */
         minZoom: 1,
-        maxZoom: 100
+        maxZoom: 100,
+        /** Minimum zoom at which values are printed next to station dots */
+        valueLabelZoom: 2.5,
+        /** Value label font size and offset from the dot, in screen pixels */
+        valueLabelFontPx: 11,
+        valueLabelOffsetPx: 8,
+        /** Stations closer than this on screen (px) are merged into a cluster */
+        clusterRadiusPx: 18,
+        /** At this zoom and above, stations are never clustered */
+        clusterMaxZoom: 8,
+        /** Zoom factor applied when a cluster is clicked */
+        clusterZoomStep: 3,
+        /** Zoom level used when jumping to a station from search */
+        searchZoom: 6,
+        /** Duration of animated zoom (ms) */
+        zoomAnimationMs: 400,
+        /** Maximum number of search results shown */
+        maxSearchResults: 8,
+        /** Wind arrow length in screen pixels: base + per m/s, capped */
+        windArrowBasePx: 8,
+        windArrowPxPerMs: 2.5,
+        windArrowMaxPx: 50
+    },
+
+    /**
+     * Color modes for station dots. Each mode colors dots by one StationData
+     * field, interpolating linearly between the color stops.
+     */
+    colorModes: {
+        temperature: {
+            field: 'temperature',
+            get label() { return t('field.temperature'); },
+            get unit() { return Units.temperatureLabel(); },
+            stops: [[-15, '#5e4fa2'], [-5, '#3288bd'], [5, '#66c2a5'], [12, '#abdda4'],
+                    [18, '#e6f598'], [24, '#fee08b'], [30, '#f46d43'], [38, '#9e0142']],
+            format: v => `${Units.formatTemperature(v, 0)}°`
+        },
+        humidity: {
+            field: 'humidity',
+            get label() { return t('field.humidity'); },
+            unit: '%',
+            stops: [[20, '#fee08b'], [50, '#abdda4'], [75, '#3288bd'], [100, '#5e4fa2']],
+            format: v => `${Math.round(v)}%`
+        },
+        pressure: {
+            field: 'pressure',
+            get label() { return t('field.pressure'); },
+            get unit() { return Units.pressureLabel(); },
+            stops: [[990, '#9e0142'], [1005, '#fdae61'], [1015, '#e6f598'], [1025, '#66c2a5'], [1035, '#3288bd']],
+            format: v => Units.formatPressure(v)
+        },
+        wind: {
+            field: 'windSpeed',
+            get label() { return t('field.wind'); },
+            get unit() { return Units.windLabel(); },
+            stops: [[0, '#e6f598'], [5, '#abdda4'], [10, '#fdae61'], [17, '#d53e4f'], [25, '#9e0142']],
+            format: v => Units.formatWindValue(v)
+        }
     },
 
+    /** LocalStorage key for the selected color mode */
+    COLOR_MODE_KEY: 'map-color-mode',
+    /** LocalStorage key for enabled map layers */
+    LAYERS_KEY: 'map-layers',
+
     // --- State ---
     /** Current zoom/pan state: scale and pan offset in base (unzoomed) coordinates */
     zoom: { scale: 1, x: 0, y: 0 },
@@ -1462,6 +2888,19 @@ const StationMap = {
     pinch: null,
     /** Tracks if a gesture (pinch/pan) occurred during current touch sequence */
     gestureOccurred: false,
+    /** Cluster markers currently shown (see computeClusters) */
+    clusters: [],
+    /** Zoom scale the current clusters were computed for */
+    clusterScale: null,
+    /** Names of stations shown as individual dots (null = all) */
+    visibleStations: null,
+    /** requestAnimationFrame id of a running zoom animation */
+    animationFrame: null,
+
+    /** Current color mode key (see colorModes), restored from localStorage in init() */
+    colorMode: 'temperature',
+    /** Optional map layers and whether they're shown, restored from localStorage in init() */
+    layers: { heatmap: false, wind: false },
 
     // --- State Queries ---
     isZoomed() { return this.zoom.scale > 1; },
@@ -1567,14 +3006,62 @@ const StationMap = {
         this.updatePositions();
     },
 
+    /**
+     * Smoothly zoom to a scale while moving the given point to the center of the view.
+     * Scale is interpolated geometrically so the zoom speed feels constant.
+     * @param {number} targetScale
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Promise<void>} Resolves when the animation finishes
+     */
+    animateTo(targetScale, lat, lon) {
+        cancelAnimationFrame(this.animationFrame);
+        const { width, height } = this.config.viewBox;
+        targetScale = Math.max(this.config.minZoom, Math.min(this.config.maxZoom, targetScale));
+        const target = this.latLonToBase(lat, lon);
+        const start = { ...this.zoom };
+        // View center at start, in base coordinates
+        const startCenter = {
+            x: start.x + width / start.scale / 2,
+            y: start.y + height / start.scale / 2
+        };
+        const duration = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+            ? 0 : this.config.zoomAnimationMs;
+        const startTime = performance.now();
+        const self = this;
+
+        return new Promise(resolve => {
+            const frame = (now) => {
+                const t = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+                const ease = 1 - (1 - t) ** 3;
+                const scale = start.scale * (targetScale / start.scale) ** ease;
+                const cx = startCenter.x + (target.x - startCenter.x) * ease;
+                const cy = startCenter.y + (target.y - startCenter.y) * ease;
+
+                self.zoom = { scale, x: cx - width / scale / 2, y: cy - height / scale / 2 };
+                self.clampPan();
+                self.updatePositions();
+
+                if (t < 1) {
+                    self.animationFrame = requestAnimationFrame(frame);
+                } else {
+                    self.animationFrame = null;
+                    resolve();
+                }
+            };
+            self.animationFrame = requestAnimationFrame(frame);
+        });
+    },
+
     // --- Rendering ---
     /** Update the Croatia outline transform based on current zoom */
     updateOutlineTransform() {
         const outline = document.getElementById('croatia-outline');
         if (outline) {
-            // Path uses original 610×476 coords; apply lat correction, pan, then zoom
+            // Path uses original 610×476 coords; move into bounds, apply lat correction, pan, then zoom
             outline.setAttribute('transform',
-                `scale(${this.zoom.scale}) translate(${-this.zoom.x}, ${-this.zoom.y}) scale(${this.config.latCorrection}, 1)`);
+                `scale(${this.zoom.scale}) translate(${-this.zoom.x}, ${-this.zoom.y}) ` +
+                `scale(${this.config.latCorrection}, 1) translate(0, ${this.config.outlineOffsetY})`);
         }
     },
 
@@ -1582,14 +3069,20 @@ const StationMap = {
     updatePositions() {
         const self = this;
 
-        // Update station dots
-        document.querySelectorAll('.station-dot').forEach(dot => {
-            const lat = parseFloat(dot.getAttribute('data-lat'));
-            const lon = parseFloat(dot.getAttribute('data-lon'));
-            const { x, y } = self.latLonToSvg(lat, lon);
-            dot.setAttribute('cx', x);
-            dot.setAttribute('cy', y);
-        });
+        // Clusters depend on zoom scale (not on pan), so regroup when it changes
+        if (this.zoom.scale !== this.clusterScale) {
+            this.renderDots();
+        } else {
+            // Update station dots
+            document.querySelectorAll('.station-dot').forEach(dot => {
+                const lat = parseFloat(dot.getAttribute('data-lat'));
+                const lon = parseFloat(dot.getAttribute('data-lon'));
+                const { x, y } = self.latLonToSvg(lat, lon);
+                dot.setAttribute('cx', x);
+                dot.setAttribute('cy', y);
+            });
+            this.updateClusterPositions();
+        }
 
         // Update user location dots
         document.querySelectorAll('.user-dot, .user-dot-pulse').forEach(dot => {
@@ -1603,6 +3096,9 @@ const StationMap = {
         });
 
         this.updateOutlineTransform();
+        this.renderValueLabels();
+        this.renderWindArrows();
+        this.heatmap.onViewChange();
 
         // Update station label position if one is shown
         if (this.tapped) {
@@ -1610,43 +3106,36 @@ const StationMap = {
         }
     },
 
+    /**
+     * Number of SVG units per screen pixel at the current map size.
+     * Used to keep labels, arrows and cluster markers a constant size on screen.
+     * @returns {number}
+     */
+    getPxToSvg() {
+        const svgWidth = document.getElementById('station-map').getBoundingClientRect().width;
+        return svgWidth > 0 ? this.config.viewBox.width / svgWidth : 1;
+    },
+
+    /** Get the name of the station currently selected in the widget (resolving "Najbliža") */
+    getSelectedStationName() {
+        const selectedLocation = getSelectedLocation();
+        const coords = Geolocation.coords;
+        return selectedLocation === NEAREST_LOCATION
+            ? (coords ? findNearestShownStation(cachedStations, coords.lat, coords.lon)?.name : null)
+            : selectedLocation;
+    },
+
     /** Render all station dots and user location on the map */
     renderStations() {
         const dotsGroup = document.getElementById('station-dots');
         const userGroup = document.getElementById('user-location');
         if (!dotsGroup || !cachedStations) return;
 
-        dotsGroup.innerHTML = '';
         userGroup.innerHTML = '';
-
-        const selectedLocation = getSelectedLocation();
-        const coords = Geolocation.coords;
-        const selectedStation = selectedLocation === NEAREST_LOCATION
-            ? (coords ? findNearestStation(cachedStations, coords.lat, coords.lon)?.name : null)
-            : selectedLocation;
-
-        const self = this;
-
-        // Add station dots
-        for (const [name, station] of Object.entries(cachedStations)) {
-            if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
-
-            const { x, y } = this.latLonToSvg(station.lat, station.lon);
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', x);
-            circle.setAttribute('cy', y);
-            circle.setAttribute('r', 6);
-            circle.setAttribute('class', 'station-dot' + (name === selectedStation ? ' selected' : ''));
-            circle.setAttribute('data-station', name);
-            circle.setAttribute('data-lat', station.lat);
-            circle.setAttribute('data-lon', station.lon);
-            circle.addEventListener('click', () => self.selectStation(name));
-            circle.addEventListener('mouseenter', (e) => self.showTooltip(e, name));
-            circle.addEventListener('mouseleave', () => self.hideTooltip());
-            dotsGroup.appendChild(circle);
-        }
+        this.renderDots();
 
         // Add user location marker if available
+        const coords = Geolocation.coords;
         if (coords) {
             const { x, y } = this.latLonToSvg(coords.lat, coords.lon);
 
@@ -1670,107 +3159,614 @@ const StationMap = {
         }
 
         this.updateOutlineTransform();
+        this.renderValueLabels();
+        this.renderWindArrows();
+        this.renderLegend();
+        this.heatmap.render();
     },
 
-    // --- Selection and Highlighting ---
+    // --- Clustering ---
     /**
-     * Find the nearest station to given lat/lon within snap distance.
-     * @param {number} lat
-     * @param {number} lon
-     * @returns {string|null} Station name or null if none within range
+     * Group stations whose dots would overlap at the current zoom level.
+     *
+     * Greedy single pass: each not-yet-assigned station absorbs all unassigned
+     * stations within clusterRadiusPx (screen pixels) of it. Because the radius
+     * is constant on screen, clusters split apart as the user zooms in. The
+     * selected and tapped stations are never clustered so they stay visible.
+     * @returns {{singles: string[], clusters: Array<{names: string[], x: number, y: number}>}}
+     *          Cluster centers are in base (unzoomed) coordinates
      */
-    findNearestWithinSnap(lat, lon) {
-        if (!cachedStations) return null;
-        let nearest = null;
-        // Divide by zoom scale so snap distance stays constant in screen space
-        let minDist = this.config.snapDistance / this.zoom.scale;
-
-        for (const [name, station] of Object.entries(cachedStations)) {
+    computeClusters() {
+        const keepSeparate = new Set([this.getSelectedStationName(), this.tapped]);
+        const positions = new Map();
+        for (const [name, station] of Object.entries(getShownStations())) {
             if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
-            const dist = haversineDistance(lat, lon, station.lat, station.lon);
-            if (dist < minDist) {
-                minDist = dist;
-                nearest = name;
-            }
+            positions.set(name, this.latLonToBase(station.lat, station.lon));
+        }
+        const names = [...positions.keys()];
+        if (this.zoom.scale >= this.config.clusterMaxZoom) {
+            return { singles: names, clusters: [] };
         }
-        return nearest;
-    },
-
-    /**
-     * Update prehighlight based on SVG coordinates.
-     * @param {number} svgX
-     * @param {number} svgY
-     * @returns {string|null} Nearest station name
-     */
-    updateHighlight(svgX, svgY) {
-        const { lat, lon } = this.svgToLatLon(svgX, svgY);
-        const nearest = this.findNearestWithinSnap(lat, lon);
 
-        if (nearest !== this.highlight) {
-            // Remove old highlight
-            document.querySelectorAll('.station-dot.prehighlight').forEach(el => {
-                el.classList.remove('prehighlight');
-                el.setAttribute('r', 6);
-            });
+        // Cluster radius in base coordinates
+        const radius = this.config.clusterRadiusPx * this.getPxToSvg() / this.zoom.scale;
+        const radiusSq = radius * radius;
+        const assigned = new Set();
+        const singles = [];
+        const clusters = [];
+
+        for (const name of names) {
+            if (assigned.has(name)) continue;
+            assigned.add(name);
+            if (keepSeparate.has(name)) {
+                singles.push(name);
+                continue;
+            }
 
-            // Add new highlight
-            if (nearest) {
-                const dot = document.querySelector(`.station-dot[data-station="${nearest}"]`);
-                if (dot) {
-                    dot.classList.add('prehighlight');
-                    dot.setAttribute('r', 10);
+            const p = positions.get(name);
+            const members = [name];
+            for (const other of names) {
+                if (assigned.has(other) || keepSeparate.has(other)) continue;
+                const q = positions.get(other);
+                if ((p.x - q.x) ** 2 + (p.y - q.y) ** 2 <= radiusSq) {
+                    members.push(other);
+                    assigned.add(other);
                 }
             }
-            this.highlight = nearest;
-        }
-        return nearest;
-    },
-
-    /** Clear prehighlight state */
-    clearHighlight() {
-        document.querySelectorAll('.station-dot.prehighlight').forEach(el => {
-            el.classList.remove('prehighlight');
-            el.setAttribute('r', 6);
-        });
-        this.highlight = null;
-    },
 
-    /** Clear tapped station state */
-    clearTapped() {
-        document.querySelectorAll('.station-dot.tapped').forEach(el => {
-            el.classList.remove('tapped');
-            el.setAttribute('r', 6);
-        });
-        this.tapped = null;
-        this.hideLabel();
+            if (members.length === 1) {
+                singles.push(name);
+            } else {
+                const x = members.reduce((sum, n) => sum + positions.get(n).x, 0) / members.length;
+                const y = members.reduce((sum, n) => sum + positions.get(n).y, 0) / members.length;
+                clusters.push({ names: members, x, y });
+            }
+        }
+        return { singles, clusters };
     },
 
     /**
-     * Handle tap on a station (mobile two-tap selection).
-     * First tap highlights, second tap on same station selects.
-     * @param {string} stationName
+     * Average of the current color mode's value over a cluster's stations.
+     * @param {{names: string[]}} cluster
+     * @returns {number|null} Average, or null if no station has the value
      */
-    handleTap(stationName) {
-        this.hideTooltip();
-        if (this.tapped === stationName) {
-            this.selectStation(stationName);
-        } else {
-            this.clearTapped();
-            this.tapped = stationName;
-            const dot = document.querySelector(`.station-dot[data-station="${stationName}"]`);
-            if (dot) {
-                dot.classList.add('tapped');
-                dot.setAttribute('r', 10);
-            }
-            this.showLabel(stationName);
-        }
+    getClusterAverage(cluster) {
+        const field = this.getColorMode().field;
+        const values = cluster.names
+            .map(name => cachedStations[name]?.[field])
+            .filter(v => v !== null && v !== undefined);
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
     },
 
-    /** Select a station and close the map */
-    selectStation(stationName) {
-        if (this.isDragging()) return;
-        LocationPicker.select(stationName);
-        this.closeModal();
+    /** Get a cluster marker's radius in SVG units (grows slowly with station count) */
+    getClusterRadius(cluster) {
+        return (10 + 3 * Math.log2(cluster.names.length)) * this.getPxToSvg();
+    },
+
+    /** Render station dots (for single stations) and cluster markers at the current zoom */
+    renderDots() {
+        const dotsGroup = document.getElementById('station-dots');
+        const clustersGroup = document.getElementById('station-clusters');
+        if (!dotsGroup || !cachedStations) return;
+
+        dotsGroup.innerHTML = '';
+        clustersGroup.innerHTML = '';
+
+        const selectedStation = this.getSelectedStationName();
+        const { singles, clusters } = this.computeClusters();
+        const self = this;
+
+        // Add station dots
+        for (const name of singles) {
+            const station = cachedStations[name];
+            const { x, y } = this.latLonToSvg(station.lat, station.lon);
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            const enlarged = name === this.tapped || name === this.highlight;
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+            circle.setAttribute('r', enlarged ? 10 : 6);
+            circle.setAttribute('class', 'station-dot' +
+                (name === selectedStation ? ' selected' : '') +
+                (name === this.tapped ? ' tapped' : '') +
+                (name === this.highlight ? ' prehighlight' : '') +
+                (station.source ? ` network-${station.source}` : ''));
+            circle.style.setProperty('--dot-color', this.getStationColor(station));
+            circle.setAttribute('data-station', name);
+            circle.setAttribute('data-lat', station.lat);
+            circle.setAttribute('data-lon', station.lon);
+            circle.addEventListener('click', () => self.selectStation(name));
+            circle.addEventListener('mouseenter', (e) => self.showTooltip(e, name));
+            circle.addEventListener('mouseleave', () => self.hideTooltip());
+            dotsGroup.appendChild(circle);
+        }
+
+        // Add cluster markers (count, plus the average value underneath)
+        const mode = this.getColorMode();
+        const pxToSvg = this.getPxToSvg();
+        for (const cluster of clusters) {
+            const average = this.getClusterAverage(cluster);
+            const radius = this.getClusterRadius(cluster);
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'station-cluster');
+
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('r', radius);
+            circle.style.setProperty('--dot-color', average !== null
+                ? this.interpolateColor(mode.stops, average)
+                : 'rgba(255, 255, 255, 0.35)');
+            group.appendChild(circle);
+
+            const count = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            count.setAttribute('class', 'cluster-count');
+            count.setAttribute('font-size', 11 * pxToSvg);
+            count.setAttribute('dy', '0.35em');
+            count.textContent = cluster.names.length;
+            group.appendChild(count);
+
+            if (average !== null) {
+                const avg = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                avg.setAttribute('class', 'cluster-average');
+                avg.setAttribute('font-size', 10 * pxToSvg);
+                avg.setAttribute('y', radius + 11 * pxToSvg);
+                avg.textContent = `⌀ ${mode.format(average)}`;
+                group.appendChild(avg);
+            }
+
+            cluster.element = group;
+            clustersGroup.appendChild(group);
+        }
+
+        this.clusters = clusters;
+        this.clusterScale = this.zoom.scale;
+        this.visibleStations = new Set(singles);
+        this.updateClusterPositions();
+    },
+
+    /** Move cluster markers to match current pan/zoom */
+    updateClusterPositions() {
+        for (const cluster of this.clusters) {
+            const x = (cluster.x - this.zoom.x) * this.zoom.scale;
+            const y = (cluster.y - this.zoom.y) * this.zoom.scale;
+            cluster.element.setAttribute('transform', `translate(${x}, ${y})`);
+        }
+    },
+
+    /**
+     * Find the cluster marker under an SVG point.
+     * @param {number} svgX
+     * @param {number} svgY
+     * @returns {Object|null} Cluster, or null if the point isn't on one
+     */
+    findClusterAt(svgX, svgY) {
+        for (const cluster of this.clusters) {
+            const x = (cluster.x - this.zoom.x) * this.zoom.scale;
+            const y = (cluster.y - this.zoom.y) * this.zoom.scale;
+            const radius = this.getClusterRadius(cluster);
+            if ((svgX - x) ** 2 + (svgY - y) ** 2 <= radius * radius) return cluster;
+        }
+        return null;
+    },
+
+    /** Zoom in on a cluster so its stations split apart */
+    expandCluster(cluster) {
+        const x = (cluster.x - this.zoom.x) * this.zoom.scale;
+        const y = (cluster.y - this.zoom.y) * this.zoom.scale;
+        this.hideTooltip();
+        this.zoomTo(this.zoom.scale * this.config.clusterZoomStep, x, y);
+    },
+
+    /**
+     * Short description of a cluster for the tooltip.
+     * @returns {string} e.g., "12 stanica · ⌀ 14°"
+     */
+    describeCluster(cluster) {
+        const average = this.getClusterAverage(cluster);
+        const text = t('map.clusterCount', { count: cluster.names.length });
+        return average !== null ? `${text} · ⌀ ${this.getColorMode().format(average)}` : text;
+    },
+
+    /**
+     * Draw an arrow per station pointing downwind (where the wind blows to),
+     * with length proportional to wind speed. Arrows keep a constant on-screen
+     * size, so they're redrawn on every zoom/pan.
+     */
+    renderWindArrows() {
+        const group = document.getElementById('wind-arrows');
+        if (!group) return;
+        group.innerHTML = '';
+        if (!this.layers.wind || !cachedStations) return;
+
+        const { width, height } = this.config.viewBox;
+        const pxToSvg = this.getPxToSvg();
+        const { windArrowBasePx, windArrowPxPerMs, windArrowMaxPx } = this.config;
+
+        for (const [name, station] of Object.entries(getShownStations())) {
+            // Clustered stations don't get arrows (the marker covers them anyway)
+            if (this.visibleStations && !this.visibleStations.has(name)) continue;
+            if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
+            if (!station.windSpeed) continue;
+            const from = parseWindDirection(station.windDirection);
+            if (from === null) continue;
+
+            const { x, y } = this.latLonToSvg(station.lat, station.lon);
+            if (x < 0 || x > width || y < 0 || y > height) continue;
+
+            // Arrow is drawn pointing up (north), then rotated to the downwind bearing
+            const length = Math.min(windArrowMaxPx, windArrowBasePx + station.windSpeed * windArrowPxPerMs) * pxToSvg;
+            const head = 3 * pxToSvg;
+            const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            arrow.setAttribute('d',
+                `M0,0 L0,${-length} M${-head},${-length + head * 1.6} L0,${-length} L${head},${-length + head * 1.6}`);
+            arrow.setAttribute('transform', `translate(${x}, ${y}) rotate(${(from + 180) % 360})`);
+            arrow.setAttribute('class', 'wind-arrow');
+            group.appendChild(arrow);
+        }
+    },
+
+    // --- Color Modes ---
+    /** @returns {Object} Current color mode definition */
+    getColorMode() {
+        return this.colorModes[this.colorMode] || this.colorModes.temperature;
+    },
+
+    /**
+     * Interpolate a color for a value from a list of [value, '#rrggbb'] stops.
+     * Values outside the range are clamped to the end colors.
+     * @param {Array<[number, string]>} stops - Sorted by value
+     * @param {number} value
+     * @returns {string} CSS rgb() color
+     */
+    interpolateColor(stops, value) {
+        return `rgb(${this.interpolateRgb(stops, value).join(',')})`;
+    },
+
+    /**
+     * Same as interpolateColor(), but returns the color as an [r, g, b] array.
+     * @param {Array<[number, string]>} stops - Sorted by value
+     * @param {number} value
+     * @returns {number[]}
+     */
+    interpolateRgb(stops, value) {
+        const toRgb = hex => [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+        if (value <= stops[0][0]) return toRgb(stops[0][1]);
+
+        for (let i = 1; i < stops.length; i++) {
+            const [v1, c1] = stops[i];
+            if (value <= v1) {
+                const [v0, c0] = stops[i - 1];
+                const t = (value - v0) / (v1 - v0);
+                const rgb0 = toRgb(c0);
+                const rgb1 = toRgb(c1);
+                return rgb0.map((c, j) => Math.round(c + (rgb1[j] - c) * t));
+            }
+        }
+        return toRgb(stops[stops.length - 1][1]);
+    },
+
+    /**
+     * Get dot color for a station in the current color mode.
+     * @param {StationData} station
+     * @returns {string} CSS color (grey if the station lacks the value)
+     */
+    getStationColor(station) {
+        const mode = this.getColorMode();
+        const value = station[mode.field];
+        if (value === null || value === undefined) return 'rgba(255, 255, 255, 0.35)';
+        return this.interpolateColor(mode.stops, value);
+    },
+
+    /** Switch to the next color mode and re-render */
+    cycleColorMode() {
+        const keys = Object.keys(this.colorModes);
+        this.colorMode = keys[(keys.indexOf(this.colorMode) + 1) % keys.length];
+        localStorage.setItem(this.COLOR_MODE_KEY, this.colorMode);
+        this.renderStations();
+    },
+
+    /** Render the color legend (gradient bar with min/max labels) */
+    renderLegend() {
+        const legend = document.getElementById('map-legend');
+        if (!legend) return;
+        const mode = this.getColorMode();
+        const { stops } = mode;
+        const min = stops[0][0];
+        const max = stops[stops.length - 1][0];
+        const gradient = stops
+            .map(([v, c]) => `${c} ${((v - min) / (max - min) * 100).toFixed(1)}%`)
+            .join(', ');
+
+        legend.innerHTML = '';
+        const title = document.createElement('span');
+        title.className = 'legend-title';
+        title.textContent = `${mode.label} (${mode.unit})`;
+        const bar = document.createElement('span');
+        bar.className = 'legend-bar';
+        bar.style.background = `linear-gradient(to right, ${gradient})`;
+        const range = document.createElement('span');
+        range.className = 'legend-range';
+        range.innerHTML = '<span></span><span></span>';
+        range.children[0].textContent = mode.format(min);
+        range.children[1].textContent = mode.format(max);
+        legend.append(title, bar, range);
+    },
+
+    /**
+     * Print current-mode values next to station dots when zoomed in.
+     *
+     * Labels are placed greedily: for each station (selected first) the first
+     * candidate position (right, left, above, below) that doesn't overlap an
+     * already placed label is used; if none fits, the label is skipped.
+     */
+    renderValueLabels() {
+        const group = document.getElementById('station-values');
+        if (!group) return;
+        group.innerHTML = '';
+        if (!cachedStations || this.zoom.scale < this.config.valueLabelZoom) return;
+
+        const mode = this.getColorMode();
+        const { width, height } = this.config.viewBox;
+        // Convert screen pixels to SVG units so labels stay the same size on screen
+        const pxToSvg = this.getPxToSvg();
+        const fontSize = this.config.valueLabelFontPx * pxToSvg;
+        const offset = this.config.valueLabelOffsetPx * pxToSvg;
+
+        const dots = [...document.querySelectorAll('.station-dot')];
+        // Selected station gets first pick of label positions
+        dots.sort((a, b) => b.classList.contains('selected') - a.classList.contains('selected'));
+
+        const placed = [];
+        const overlaps = box => placed.some(p =>
+            box.x < p.x + p.w && p.x < box.x + box.w && box.y < p.y + p.h && p.y < box.y + box.h);
+
+        for (const dot of dots) {
+            const station = cachedStations[dot.getAttribute('data-station')];
+            const value = station?.[mode.field];
+            if (value === null || value === undefined) continue;
+
+            const cx = parseFloat(dot.getAttribute('cx'));
+            const cy = parseFloat(dot.getAttribute('cy'));
+            if (cx < 0 || cx > width || cy < 0 || cy > height) continue;
+
+            const text = mode.format(value);
+            // Approximate text box; average glyph width is ~0.6em for digits
+            const w = text.length * fontSize * 0.6;
+            const h = fontSize;
+            const candidates = [
+                { x: cx + offset, y: cy - h / 2, anchor: 'start' },
+                { x: cx - offset - w, y: cy - h / 2, anchor: 'end' },
+                { x: cx - w / 2, y: cy - offset - h, anchor: 'middle' },
+                { x: cx - w / 2, y: cy + offset, anchor: 'middle' }
+            ];
+
+            const spot = candidates.find(c => !overlaps({ x: c.x, y: c.y, w, h }));
+            if (!spot) continue;
+            placed.push({ x: spot.x, y: spot.y, w, h });
+
+            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            const textX = spot.anchor === 'start' ? spot.x : spot.anchor === 'end' ? spot.x + w : spot.x + w / 2;
+            label.setAttribute('x', textX);
+            // Baseline sits ~0.8em below the top of the box
+            label.setAttribute('y', spot.y + h * 0.8);
+            label.setAttribute('text-anchor', spot.anchor);
+            label.setAttribute('font-size', fontSize);
+            label.setAttribute('class', 'station-value');
+            label.textContent = text;
+            group.appendChild(label);
+        }
+    },
+
+    // --- Selection and Highlighting ---
+    /**
+     * Find the nearest station to given lat/lon within snap distance.
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {string|null} Station name or null if none within range
+     */
+    findNearestWithinSnap(lat, lon) {
+        if (!cachedStations) return null;
+        let nearest = null;
+        // Divide by zoom scale so snap distance stays constant in screen space
+        let minDist = this.config.snapDistance / this.zoom.scale;
+
+        for (const [name, station] of Object.entries(getShownStations())) {
+            // Stations inside a cluster can't be picked individually
+            if (this.visibleStations && !this.visibleStations.has(name)) continue;
+            if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
+            const dist = haversineDistance(lat, lon, station.lat, station.lon);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = name;
+            }
+        }
+        return nearest;
+    },
+
+    /**
+     * Update prehighlight based on SVG coordinates.
+     * @param {number} svgX
+     * @param {number} svgY
+     * @returns {string|null} Nearest station name
+     */
+    updateHighlight(svgX, svgY) {
+        const { lat, lon } = this.svgToLatLon(svgX, svgY);
+        const nearest = this.findNearestWithinSnap(lat, lon);
+
+        if (nearest !== this.highlight) {
+            // Remove old highlight
+            document.querySelectorAll('.station-dot.prehighlight').forEach(el => {
+                el.classList.remove('prehighlight');
+                el.setAttribute('r', 6);
+            });
+
+            // Add new highlight
+            if (nearest) {
+                const dot = document.querySelector(`.station-dot[data-station="${nearest}"]`);
+                if (dot) {
+                    dot.classList.add('prehighlight');
+                    dot.setAttribute('r', 10);
+                }
+            }
+            this.highlight = nearest;
+        }
+        return nearest;
+    },
+
+    /** Clear prehighlight state */
+    clearHighlight() {
+        document.querySelectorAll('.station-dot.prehighlight').forEach(el => {
+            el.classList.remove('prehighlight');
+            el.setAttribute('r', 6);
+        });
+        this.highlight = null;
+    },
+
+    /** Clear tapped station state */
+    clearTapped() {
+        document.querySelectorAll('.station-dot.tapped').forEach(el => {
+            el.classList.remove('tapped');
+            el.setAttribute('r', 6);
+        });
+        this.tapped = null;
+        this.hideLabel();
+    },
+
+    /**
+     * Handle tap on a station (mobile two-tap selection).
+     * First tap highlights, second tap on same station selects.
+     * @param {string} stationName
+     */
+    handleTap(stationName) {
+        this.hideTooltip();
+        if (this.tapped === stationName) {
+            this.selectStation(stationName);
+        } else {
+            this.clearTapped();
+            this.tapped = stationName;
+            const dot = document.querySelector(`.station-dot[data-station="${stationName}"]`);
+            if (dot) {
+                dot.classList.add('tapped');
+                dot.setAttribute('r', 10);
+            }
+            this.showLabel(stationName);
+        }
+    },
+
+    /** Select a station and close the map */
+    selectStation(stationName) {
+        if (this.isDragging()) return;
+        LocationPicker.select(stationName);
+        this.closeModal();
+    },
+
+    // --- Search ---
+    /**
+     * Find stations whose name matches a query, ignoring case and diacritics.
+     * Names starting with the query come first.
+     * @param {string} query
+     * @returns {string[]} Matching station names
+     */
+    searchStations(query) {
+        const needle = normalizeForSearch(query.trim());
+        if (!needle || !cachedStations) return [];
+        const collator = new Intl.Collator('hr');
+
+        return Object.keys(getShownStations())
+            .map(name => ({ name, index: normalizeForSearch(name).indexOf(needle) }))
+            .filter(m => m.index >= 0)
+            .sort((a, b) => (a.index > 0) - (b.index > 0) || collator.compare(a.name, b.name))
+            .slice(0, this.config.maxSearchResults)
+            .map(m => m.name);
+    },
+
+    /** Render search results for the current input value */
+    renderSearchResults() {
+        const input = document.getElementById('map-search-input');
+        const results = document.getElementById('map-search-results');
+        const self = this;
+        const names = this.searchStations(input.value);
+
+        results.innerHTML = '';
+        results.hidden = names.length === 0;
+        names.forEach((name, i) => {
+            const opt = document.createElement('div');
+            opt.className = 'map-search-result' + (i === 0 ? ' focused' : '');
+            opt.setAttribute('role', 'option');
+            opt.dataset.station = name;
+            opt.textContent = name;
+            // mousedown instead of click so the input doesn't lose focus first
+            opt.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                self.focusStation(name);
+            });
+            results.appendChild(opt);
+        });
+    },
+
+    /** Clear search input and results */
+    clearSearch() {
+        document.getElementById('map-search-input').value = '';
+        const results = document.getElementById('map-search-results');
+        results.innerHTML = '';
+        results.hidden = true;
+    },
+
+    /**
+     * Handle keyboard navigation in the search results. Escape clears the
+     * search instead of closing the map.
+     * @param {KeyboardEvent} e
+     */
+    handleSearchKeydown(e) {
+        const options = [...document.querySelectorAll('.map-search-result')];
+        const current = options.findIndex(opt => opt.classList.contains('focused'));
+        let next = current;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                next = current < options.length - 1 ? current + 1 : 0;
+                break;
+            case 'ArrowUp':
+                next = current > 0 ? current - 1 : options.length - 1;
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (current >= 0) this.focusStation(options[current].dataset.station);
+                return;
+            case 'Escape':
+                // Keep the document handler from closing the map
+                e.preventDefault();
+                e.stopPropagation();
+                this.clearSearch();
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+        options.forEach((opt, i) => opt.classList.toggle('focused', i === next));
+    },
+
+    /**
+     * Zoom to a station, highlight it and show its label (like a first tap).
+     * @param {string} stationName
+     */
+    async focusStation(stationName) {
+        const station = cachedStations?.[stationName];
+        if (!station) return;
+
+        this.clearSearch();
+        document.getElementById('map-search-input').blur();
+        this.hideTooltip();
+        this.clearHighlight();
+        this.clearTapped();
+        // Tapped stations are never clustered, so it stays visible at any zoom
+        this.tapped = stationName;
+
+        await this.animateTo(Math.max(this.zoom.scale, this.config.searchZoom), station.lat, station.lon);
+
+        // Clusters may not have been regrouped if the scale didn't change
+        this.renderDots();
+        this.renderValueLabels();
+        this.renderWindArrows();
+        if (this.tapped === stationName) this.showLabel(stationName);
     },
 
     // --- UI Helpers ---
@@ -1780,13 +3776,29 @@ const StationMap = {
      * @param {string} stationName
      */
     showTooltip(event, stationName) {
+        // Show the current color mode's value alongside the name
+        const mode = this.getColorMode();
+        const station = cachedStations?.[stationName];
+        const value = station?.[mode.field];
+        const label = station?.source ? `${stationName} (${DATA_SOURCES[station.source].label})` : stationName;
+        this.showTooltipText(event, (value !== null && value !== undefined)
+            ? `${label} · ${mode.format(value)}`
+            : label);
+    },
+
+    /**
+     * Show tooltip with arbitrary text near the cursor/touch position.
+     * @param {MouseEvent|TouchEvent} event
+     * @param {string} text
+     */
+    showTooltipText(event, text) {
         const tooltip = document.getElementById('map-tooltip');
         const container = document.querySelector('.map-container');
         const rect = container.getBoundingClientRect();
         const clientX = event.touches ? event.touches[0].clientX : event.clientX;
         const clientY = event.touches ? event.touches[0].clientY : event.clientY;
 
-        tooltip.textContent = stationName;
+        tooltip.textContent = text;
         tooltip.hidden = false;
         tooltip.style.left = `${clientX - rect.left + 10}px`;
         tooltip.style.top = `${clientY - rect.top - 30}px`;
@@ -1817,12 +3829,26 @@ const StationMap = {
         const x = (cx / this.config.viewBox.width) * svgRect.width + (svgRect.left - containerRect.left);
         const y = (cy / this.config.viewBox.height) * svgRect.height + (svgRect.top - containerRect.top);
 
-        label.textContent = stationName;
+        // Rebuild content only when the station changes (this also runs on every pan/zoom)
+        if (label.dataset.station !== stationName || label.hidden) {
+            label.dataset.station = stationName;
+            label.innerHTML = '';
+            const name = document.createElement('span');
+            name.textContent = stationName;
+            label.appendChild(name);
+            label.appendChild(Favorites.createToggle(stationName));
+        }
         label.hidden = false;
         label.style.left = `${x}px`;
         label.style.top = `${y - 35}px`;
     },
 
+    /** Sync the favorite star in the station label with stored favorites */
+    updateLabelFavorite() {
+        const btn = document.querySelector('#station-label .favorite-toggle');
+        if (btn) Favorites.updateToggle(btn);
+    },
+
     /** Hide station label */
     hideLabel() {
         const label = document.getElementById('station-label');
@@ -1841,8 +3867,9 @@ const StationMap = {
      */
     openModal(replaceState = false) {
         this.resetZoom();
-        this.renderStations();
+        // Show first: on-screen sizes of markers and labels depend on the rendered map size
         document.getElementById('map-modal').hidden = false;
+        this.renderStations();
         // Push/replace state so Android back button closes modal instead of exiting app
         if (replaceState) {
             history.replaceState({ mapModal: true }, '');
@@ -1859,6 +3886,9 @@ const StationMap = {
     closeModal(popHistory = true) {
         if (!this.isOpen()) return;
         document.getElementById('map-modal').hidden = true;
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.clearSearch();
         this.hideTooltip();
         this.clearHighlight();
         this.clearTapped();
@@ -1866,12 +3896,164 @@ const StationMap = {
         if (popHistory) history.back();
     },
 
-    // --- Mouse Input Handlers ---
-    mouse: {
-        onDown(event) {
+    // --- Layers ---
+    /**
+     * Show or hide an optional layer and remember the choice.
+     * @param {string} name - Key in this.layers
+     */
+    toggleLayer(name) {
+        this.layers[name] = !this.layers[name];
+        localStorage.setItem(this.LAYERS_KEY, JSON.stringify(this.layers));
+        this.updateLayerButtons();
+        this.renderStations();
+    },
+
+    /** Sync layer toggle buttons with layer state */
+    updateLayerButtons() {
+        document.querySelectorAll('.layer-toggle').forEach(btn => {
+            const active = this.layers[btn.dataset.layer] === true;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+    },
+
+    // --- Heatmap Layer ---
+    /**
+     * Interpolated field of the current color mode's value, drawn under the
+     * station dots and clipped to the Croatia outline.
+     *
+     * Values come from inverse distance weighting (IDW) of all stations, computed
+     * on a coarse grid over the visible area and drawn into a canvas that is
+     * shown (smoothly upscaled) as an SVG image. During zoom/pan the existing
+     * image is just transformed along with the map; the field is recomputed for
+     * the new view once the gesture settles.
+     */
+    heatmap: {
+        /** Grid cell size in SVG units of the current view */
+        CELL_SIZE: 4,
+        /** IDW power parameter: higher values make nearby stations dominate */
+        POWER: 2,
+        /** Image opacity (0-255) */
+        ALPHA: 140,
+        /** Delay after the last zoom/pan before recomputing the field (ms) */
+        SETTLE_DELAY_MS: 150,
+
+        /** Visible area (base coords) of the currently drawn image */
+        rendered: null,
+        /** Timer for recomputing after zoom/pan settles */
+        settleTimer: null,
+
+        /** Compute and draw the field for the visible area */
+        render() {
             const map = StationMap;
-            if (map.isZoomed()) {
-                event.preventDefault();
+            const layer = document.getElementById('heatmap-layer');
+            const image = document.getElementById('heatmap-image');
+            if (!layer || !image) return;
+
+            clearTimeout(this.settleTimer);
+            if (!map.layers.heatmap || !cachedStations) {
+                layer.setAttribute('visibility', 'hidden');
+                this.rendered = null;
+                return;
+            }
+
+            const mode = map.getColorMode();
+            const points = [];
+            for (const station of Object.values(getShownStations())) {
+                const value = station[mode.field];
+                if (value === null || value === undefined) continue;
+                if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
+                const { x, y } = map.latLonToBase(station.lat, station.lon);
+                points.push({ x, y, value });
+            }
+            if (points.length === 0) {
+                layer.setAttribute('visibility', 'hidden');
+                this.rendered = null;
+                return;
+            }
+
+            // Visible area in base coordinates
+            const { width, height } = map.config.viewBox;
+            const view = {
+                x: map.zoom.x,
+                y: map.zoom.y,
+                width: width / map.zoom.scale,
+                height: height / map.zoom.scale
+            };
+            const cols = Math.ceil(width / this.CELL_SIZE);
+            const rows = Math.ceil(height / this.CELL_SIZE);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = cols;
+            canvas.height = rows;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+            const pixels = ctx.createImageData(cols, rows);
+            const halfPower = this.POWER / 2;
+
+            for (let row = 0; row < rows; row++) {
+                const by = view.y + (row + 0.5) / rows * view.height;
+                for (let col = 0; col < cols; col++) {
+                    const bx = view.x + (col + 0.5) / cols * view.width;
+                    let weightSum = 0;
+                    let valueSum = 0;
+                    let exact = null;
+                    for (const p of points) {
+                        const d2 = (p.x - bx) ** 2 + (p.y - by) ** 2;
+                        if (d2 < 1e-6) {
+                            exact = p.value;
+                            break;
+                        }
+                        const w = 1 / d2 ** halfPower;
+                        weightSum += w;
+                        valueSum += w * p.value;
+                    }
+                    const value = exact !== null ? exact : valueSum / weightSum;
+                    const [r, g, b] = map.interpolateRgb(mode.stops, value);
+                    const i = (row * cols + col) * 4;
+                    pixels.data[i] = r;
+                    pixels.data[i + 1] = g;
+                    pixels.data[i + 2] = b;
+                    pixels.data[i + 3] = this.ALPHA;
+                }
+            }
+            ctx.putImageData(pixels, 0, 0);
+
+            image.setAttribute('href', canvas.toDataURL());
+            image.setAttribute('x', view.x);
+            image.setAttribute('y', view.y);
+            image.setAttribute('width', view.width);
+            image.setAttribute('height', view.height);
+            layer.setAttribute('visibility', 'visible');
+            this.rendered = view;
+            this.updateTransform();
+        },
+
+        /** Apply current zoom/pan to the layer (image and clip are in base coords) */
+        updateTransform() {
+            const map = StationMap;
+            const layer = document.getElementById('heatmap-layer');
+            if (layer) {
+                layer.setAttribute('transform',
+                    `scale(${map.zoom.scale}) translate(${-map.zoom.x}, ${-map.zoom.y})`);
+            }
+        },
+
+        /** Follow zoom/pan immediately, recompute for the new view once it settles */
+        onViewChange() {
+            if (!this.rendered) return;
+            this.updateTransform();
+            clearTimeout(this.settleTimer);
+            this.settleTimer = setTimeout(() => this.render(), this.SETTLE_DELAY_MS);
+        }
+    },
+
+    // --- Mouse Input Handlers ---
+    mouse: {
+        onDown(event) {
+            const map = StationMap;
+            if (map.isZoomed()) {
+                event.preventDefault();
                 map.drag = {
                     startX: event.clientX,
                     startY: event.clientY,
@@ -1917,6 +4099,12 @@ const StationMap = {
             }
 
             const { x, y } = map.eventToSvg(event);
+            const cluster = map.findClusterAt(x, y);
+            if (cluster) {
+                map.clearHighlight();
+                map.showTooltipText(event, map.describeCluster(cluster));
+                return;
+            }
             const nearest = map.updateHighlight(x, y);
 
             if (nearest) {
@@ -1929,6 +4117,12 @@ const StationMap = {
         onClick(event) {
             const map = StationMap;
             if (map.isDragging()) return;
+            const { x, y } = map.eventToSvg(event);
+            const cluster = map.findClusterAt(x, y);
+            if (cluster) {
+                map.expandCluster(cluster);
+                return;
+            }
             if (map.highlight) {
                 map.selectStation(map.highlight);
             }
@@ -2078,6 +4272,12 @@ const StationMap = {
                         const rect = svg.getBoundingClientRect();
                         const x = (touch.clientX - rect.left) / rect.width * map.config.viewBox.width;
                         const y = (touch.clientY - rect.top) / rect.height * map.config.viewBox.height;
+                        const cluster = map.findClusterAt(x, y);
+                        if (cluster) {
+                            map.clearTapped();
+                            map.expandCluster(cluster);
+                            return;
+                        }
                         const { lat, lon } = map.svgToLatLon(x, y);
                         const tappedNear = map.findNearestWithinSnap(lat, lon);
 
@@ -2099,6 +4299,27 @@ const StationMap = {
         const closeBtn = document.getElementById('map-close');
         const self = this;
 
+        const savedMode = localStorage.getItem(this.COLOR_MODE_KEY);
+        if (savedMode in this.colorModes) this.colorMode = savedMode;
+
+        try {
+            Object.assign(this.layers, JSON.parse(localStorage.getItem(this.LAYERS_KEY)));
+        } catch {
+            // Ignore corrupt saved state, keep defaults
+        }
+        this.updateLayerButtons();
+        document.querySelectorAll('.layer-toggle').forEach(btn => {
+            btn.addEventListener('click', () => self.toggleLayer(btn.dataset.layer));
+        });
+
+        // Heatmap is clipped to the outline; its clip path shares the outline's
+        // base coordinate space, so no pan or zoom is needed here
+        const clipOutline = document.getElementById('croatia-clip-outline');
+        if (clipOutline) {
+            clipOutline.setAttribute('transform',
+                `scale(${this.config.latCorrection}, 1) translate(0, ${this.config.outlineOffsetY})`);
+        }
+
         // Mouse events
         svg.addEventListener('mousedown', (e) => self.mouse.onDown(e));
         svg.addEventListener('mousemove', (e) => self.mouse.onMove(e));
@@ -2124,13 +4345,19 @@ const StationMap = {
             if (e.target.id === 'map-modal') self.closeModal();
         });
 
-        // Source switcher in map
-        const sourceBtn = document.getElementById('map-source');
-        if (sourceBtn) {
-            sourceBtn.addEventListener('click', async () => {
-                await SourceSwitcher.toggle();
-                self.renderStations();
-            });
+        // Station search
+        const searchInput = document.getElementById('map-search-input');
+        searchInput.addEventListener('input', () => self.renderSearchResults());
+        searchInput.addEventListener('keydown', (e) => self.handleSearchKeydown(e));
+        searchInput.addEventListener('blur', () => {
+            document.getElementById('map-search-results').hidden = true;
+        });
+        searchInput.addEventListener('focus', () => self.renderSearchResults());
+
+        // Legend doubles as the color mode switch
+        const legend = document.getElementById('map-legend');
+        if (legend) {
+            legend.addEventListener('click', () => self.cycleColorMode());
         }
 
         // Keyboard
@@ -2145,6 +4372,736 @@ const StationMap = {
 // Initialize the map
 StationMap.init();
 
+// --- Station Table ---
+
+/**
+ * StationTable - Sortable, filterable table of all stations from the last fetch.
+ *
+ * Clicking a column header sorts by that column (clicking again reverses the
+ * order); missing values always sort last. Tapping a row selects the station
+ * the same way the dropdown does and closes the table.
+ */
+const StationTable = {
+    /** Column definitions: key into StationData, header label (STRINGS key), default direction */
+    columns: [
+        { key: 'name', labelKey: 'table.station', descending: false },
+        { key: 'temperature', labelKey: 'table.temperature', descending: true, unit: () => Units.temperatureLabel() },
+        { key: 'humidity', labelKey: 'table.humidity', descending: true },
+        { key: 'pressure', labelKey: 'field.pressure', descending: true, unit: () => Units.pressureLabel() },
+        { key: 'windSpeed', labelKey: 'field.wind', descending: true }
+    ],
+
+    // --- State ---
+    /** Current sort column and direction (hottest first by default) */
+    sort: { key: 'temperature', descending: true },
+    /** Current name filter (normalized with normalizeForSearch) */
+    filter: '',
+
+    /**
+     * Get stations matching the filter, in the current sort order.
+     * @returns {StationData[]}
+     */
+    getRows() {
+        if (!cachedStations) return [];
+        const { key, descending } = this.sort;
+        const collator = new Intl.Collator('hr');
+        const filter = this.filter;
+
+        const rows = Object.values(getShownStations())
+            .filter(station => !filter || normalizeForSearch(station.name).includes(filter));
+
+        rows.sort((a, b) => {
+            const va = a[key];
+            const vb = b[key];
+            // Missing values go last regardless of direction
+            if (va === null && vb === null) return collator.compare(a.name, b.name);
+            if (va === null) return 1;
+            if (vb === null) return -1;
+            const cmp = key === 'name' ? collator.compare(va, vb) : va - vb;
+            return descending ? -cmp : cmp;
+        });
+        return rows;
+    },
+
+    // --- Rendering ---
+    /** Render the header row with sort indicators */
+    renderHeader() {
+        const row = document.getElementById('station-table-head');
+        const self = this;
+        row.innerHTML = '';
+
+        this.columns.forEach(col => {
+            const th = document.createElement('th');
+            const btn = document.createElement('button');
+            btn.className = 'sort-btn';
+            const active = self.sort.key === col.key;
+            const arrow = active ? (self.sort.descending ? ' ▼' : ' ▲') : '';
+            btn.textContent = t(col.labelKey) + (col.unit ? ` (${col.unit()})` : '') + arrow;
+            th.setAttribute('aria-sort', active ? (self.sort.descending ? 'descending' : 'ascending') : 'none');
+            btn.addEventListener('click', () => self.sortBy(col));
+            th.appendChild(btn);
+            row.appendChild(th);
+        });
+    },
+
+    /** Render table body from current filter and sort */
+    renderRows() {
+        const tbody = document.getElementById('station-table-body');
+        const selected = getSelectedLocation();
+        const self = this;
+        tbody.innerHTML = '';
+
+        for (const station of this.getRows()) {
+            const tr = document.createElement('tr');
+            if (station.name === selected) tr.className = 'selected';
+
+            const wind = station.windSpeed !== null
+                ? Units.formatWind(station.windSpeed) +
+                  ((station.windDirection && station.windDirection !== 'C') ? ` ${station.windDirection}` : '')
+                : '—';
+            const cells = [
+                station.name,
+                Units.formatTemperature(station.temperature),
+                station.humidity !== null ? `${station.humidity}%` : '—',
+                station.pressure !== null ? Units.formatPressure(station.pressure) : '—',
+                wind
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            tr.addEventListener('click', () => self.selectStation(station.name));
+            tbody.appendChild(tr);
+        }
+    },
+
+    /**
+     * Sort by a column, or reverse the order if it's already the sort column.
+     * @param {{key: string, descending: boolean}} col
+     */
+    sortBy(col) {
+        if (this.sort.key === col.key) {
+            this.sort.descending = !this.sort.descending;
+        } else {
+            this.sort = { key: col.key, descending: col.descending };
+        }
+        this.renderHeader();
+        this.renderRows();
+    },
+
+    /** Select a station and close the table */
+    selectStation(stationName) {
+        LocationPicker.select(stationName);
+        this.closeModal();
+    },
+
+    // --- Modal ---
+    /** Check if table modal is open */
+    isOpen() {
+        return !document.getElementById('table-modal').hidden;
+    },
+
+    /**
+     * Open the table modal.
+     * @param {boolean} [replaceState=false] - If true, replace current history state
+     *        instead of pushing. Used when transitioning from dropdown to table.
+     */
+    openModal(replaceState = false) {
+        const input = document.getElementById('station-table-filter');
+        input.value = '';
+        this.filter = '';
+        this.renderHeader();
+        this.renderRows();
+        document.getElementById('table-modal').hidden = false;
+        // Push/replace state so Android back button closes modal instead of exiting app
+        if (replaceState) {
+            history.replaceState({ tableModal: true }, '');
+        } else {
+            history.pushState({ tableModal: true }, '');
+        }
+    },
+
+    /**
+     * Close the table modal.
+     * @param {boolean} [popHistory=true] - Whether to pop the history state.
+     *        Set to false when closing in response to popstate (back button).
+     */
+    closeModal(popHistory = true) {
+        if (!this.isOpen()) return;
+        document.getElementById('table-modal').hidden = true;
+        if (popHistory) history.back();
+    },
+
+    // --- Initialization ---
+    init() {
+        const modal = document.getElementById('table-modal');
+        const self = this;
+
+        document.getElementById('station-table-filter').addEventListener('input', (e) => {
+            self.filter = normalizeForSearch(e.target.value.trim());
+            self.renderRows();
+        });
+
+        document.getElementById('table-close').addEventListener('click', () => self.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'table-modal') self.closeModal();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.hidden) {
+                self.closeModal();
+            }
+        });
+    }
+};
+
+// Initialize the station table
+StationTable.init();
+
+// --- Station Detail ---
+
+/**
+ * @param {*} value - Value of an optional StationData field
+ * @returns {boolean} Whether the source reported it (undefined: not a field of the source, null: missing)
+ */
+function isPresent(value) {
+    return value !== null && value !== undefined;
+}
+
+/**
+ * StationDetail - Modal with everything the source reports for the displayed
+ * station, including values the widget has no room for (pljusak.com's daily
+ * extremes, precipitation and station hardware), its metadata, a mini-map
+ * around it and the last 24 hours of temperature from History.
+ * Opened by tapping the station name or the readings.
+ */
+const StationDetail = {
+    /**
+     * Rows in display order: label (STRINGS key) and value text, or null to leave
+     * the row out. Precipitation and the day's extremes are what people look for first.
+     */
+    rows: [
+        {
+            labelKey: 'detail.precipitationToday',
+            format: s => isPresent(s.precipitationToday) ? `${Units.round(s.precipitationToday, 1)} mm` : null
+        },
+        {
+            labelKey: 'detail.temperatureRange',
+            format: s => {
+                if (!isPresent(s.temperatureMin) && !isPresent(s.temperatureMax)) return null;
+                const format = value => isPresent(value) ? Units.formatTemperature(value) : '—';
+                return `${format(s.temperatureMin)} / ${format(s.temperatureMax)} ${Units.temperatureLabel()}`;
+            }
+        },
+        {
+            labelKey: 'field.temperature',
+            format: s => `${Units.formatTemperature(s.temperature)} ${Units.temperatureLabel()}` +
+                (s.temperatureTrend ? ` (${Units.formatTemperatureChange(s.temperatureTrend)})` : '')
+        },
+        {
+            labelKey: 'detail.condition',
+            format: s => {
+                const condition = describeCondition(s);
+                return condition ? condition.charAt(0).toUpperCase() + condition.slice(1) : null;
+            }
+        },
+        {
+            labelKey: 'detail.precipitationRate',
+            format: s => isPresent(s.precipitationRate) ? `${Units.round(s.precipitationRate, 1)} mm/h` : null
+        },
+        {
+            labelKey: 'field.humidity',
+            format: s => s.humidity !== null ? `${s.humidity}%` : null
+        },
+        {
+            labelKey: 'field.pressure',
+            format: s => {
+                if (s.pressure === null) return null;
+                const arrow = s.pressureTrend > 0 ? ' ▲' : s.pressureTrend < 0 ? ' ▼' : '';
+                const trend = s.pressureTrend !== null ? ` (${Units.formatPressureChange(s.pressureTrend)})` : '';
+                return `${Units.formatPressure(s.pressure)} ${Units.pressureLabel()}${arrow}${trend}`;
+            }
+        },
+        {
+            labelKey: 'field.wind',
+            format: s => {
+                if (s.windSpeed === null) return null;
+                const dir = (s.windDirection && s.windDirection !== 'C') ? ` ${s.windDirection}` : '';
+                return `${Units.formatWind(s.windSpeed)}${dir}`;
+            }
+        },
+        {
+            labelKey: 'detail.windGust',
+            format: s => isPresent(s.windGust) ? Units.formatWind(s.windGust) : null
+        },
+        {
+            labelKey: 'field.dewPoint',
+            format: s => {
+                const dewPoint = getDewPoint(s);
+                return dewPoint !== null ? `${Units.formatTemperature(dewPoint)} ${Units.temperatureLabel()}` : null;
+            }
+        },
+        {
+            labelKey: 'detail.measured',
+            format: s => formatMeasurementTime(s.measurementTime, getStationSourceConfig(s)).formattedTime || null
+        },
+        {
+            labelKey: 'detail.quality',
+            format: s => s.suspect?.length ? s.suspect.map(describeSuspectReading).join('; ') : null
+        },
+        // Metadata
+        {
+            labelKey: 'detail.network',
+            format: s => s.source ? DATA_SOURCES[s.source].label : null
+        },
+        {
+            labelKey: 'detail.stationType',
+            format: s => s.stationType ?? null
+        },
+        {
+            labelKey: 'detail.automatic',
+            format: s => isPresent(s.automatic) ? t(s.automatic ? 'detail.automaticYes' : 'detail.automaticNo') : null
+        },
+        {
+            labelKey: 'detail.coordinates',
+            format: s => `${s.lat.toFixed(3)}° N, ${s.lon.toFixed(3)}° E`
+        },
+        {
+            labelKey: 'detail.distance',
+            format: s => {
+                if (!Geolocation.hasCoords()) return null;
+                const { lat, lon } = Geolocation.coords;
+                return `${haversineDistance(lat, lon, s.lat, s.lon).toFixed(1)} km`;
+            }
+        },
+        {
+            labelKey: 'detail.elevation',
+            format: s => isPresent(s.elevation) ? `${Math.round(s.elevation)} m` : null
+        },
+        {
+            labelKey: 'detail.device',
+            format: s => s.device ?? null
+        },
+        {
+            labelKey: 'detail.software',
+            format: s => s.software ?? null
+        }
+    ],
+
+    /** Links below the rows: StationData field with the URL and label (STRINGS key) */
+    links: [
+        { key: 'url', labelKey: 'detail.stationPage' },
+        { key: 'webcamUrl', labelKey: 'detail.webcam' }
+    ],
+
+    /** Mini-map width in base map coordinates (see StationMap.latLonToBase), about 100 km */
+    MINI_MAP_WIDTH: 100,
+    /** Mini-map height in base map coordinates */
+    MINI_MAP_HEIGHT: 60,
+
+    // --- State ---
+    /** Name of the station shown while the modal is open */
+    stationName: null,
+
+    // --- Rendering ---
+    /** Render the shown station's rows, mini-map, history and links */
+    render() {
+        const station = cachedStations?.[this.stationName];
+        if (!station) return;
+
+        setText('station-detail-title', station.name);
+        this.renderMap(station);
+        this.renderHistory(station);
+
+        const list = document.getElementById('station-detail-list');
+        list.innerHTML = '';
+        for (const row of this.rows) {
+            const value = row.format(station);
+            if (value === null) continue;
+            const dt = document.createElement('dt');
+            dt.textContent = t(row.labelKey);
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        }
+
+        const links = document.getElementById('station-detail-links');
+        links.innerHTML = '';
+        for (const link of this.links) {
+            const url = station[link.key];
+            // Feed values end up in href, so only allow web links
+            if (!url || !/^https?:\/\//i.test(url)) continue;
+            const a = document.createElement('a');
+            a.href = url;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            a.textContent = t(link.labelKey);
+            links.appendChild(a);
+        }
+        links.hidden = links.childElementCount === 0;
+    },
+
+    /**
+     * Draw the mini-map: the map outline and nearby stations, centered on the station.
+     * @param {StationData} station
+     */
+    renderMap(station) {
+        const svg = document.getElementById('station-detail-map');
+        const { MINI_MAP_WIDTH: width, MINI_MAP_HEIGHT: height } = this;
+        const center = StationMap.latLonToBase(station.lat, station.lon);
+        svg.setAttribute('viewBox', `${center.x - width / 2} ${center.y - height / 2} ${width} ${height}`);
+
+        // The outline path is shared with the station map, in the same base coordinates
+        const { latCorrection, outlineOffsetY } = StationMap.config;
+        document.getElementById('station-detail-outline').setAttribute('transform',
+            `scale(${latCorrection}, 1) translate(0, ${outlineOffsetY})`);
+
+        const dots = document.getElementById('station-detail-dots');
+        dots.innerHTML = '';
+        const addDot = (lat, lon, className) => {
+            const { x, y } = StationMap.latLonToBase(lat, lon);
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+            circle.setAttribute('class', className);
+            dots.appendChild(circle);
+        };
+
+        for (const other of Object.values(getShownStations())) {
+            if (other !== station) addDot(other.lat, other.lon, 'station-detail-neighbour');
+        }
+        if (Geolocation.hasCoords()) {
+            addDot(Geolocation.coords.lat, Geolocation.coords.lon, 'station-detail-user');
+        }
+        addDot(station.lat, station.lon, 'station-detail-station');
+    },
+
+    /**
+     * Draw the station's last 24 hours of temperature (asynchronously, from history).
+     * @param {StationData} station
+     */
+    async renderHistory(station) {
+        const name = station.name;
+        const series = await History.getSeries(History.sourceOf(station), name, Date.now() - SPARKLINE_WINDOW_MS);
+        // Closed or showing another station by the time history was read
+        if (this.stationName !== name) return;
+
+        const range = Sparkline.plot(document.getElementById('station-detail-history'), series);
+        const label = document.getElementById('station-detail-history-range');
+        label.textContent = range
+            ? t('detail.historyRange', {
+                min: Units.formatTemperature(range.min),
+                max: Units.formatTemperature(range.max),
+                unit: Units.temperatureLabel()
+            })
+            : t('detail.historyEmpty');
+    },
+
+    // --- Modal ---
+    /** Check if detail modal is open */
+    isOpen() {
+        return !document.getElementById('station-detail-modal').hidden;
+    },
+
+    /** Open the modal for the station shown in the widget */
+    openModal() {
+        if (!cachedStations) return;
+        const result = getStationForLocation(cachedStations, getSelectedLocation());
+        if (!result) return;
+
+        this.stationName = result.station.name;
+        this.render();
+        document.getElementById('station-detail-modal').hidden = false;
+        // Push state so Android back button closes modal instead of exiting app
+        history.pushState({ detailModal: true }, '');
+    },
+
+    /**
+     * Close the detail modal.
+     * @param {boolean} [popHistory=true] - Whether to pop the history state.
+     *        Set to false when closing in response to popstate (back button).
+     */
+    closeModal(popHistory = true) {
+        if (!this.isOpen()) return;
+        document.getElementById('station-detail-modal').hidden = true;
+        this.stationName = null;
+        if (popHistory) history.back();
+    },
+
+    // --- Initialization ---
+    init() {
+        const modal = document.getElementById('station-detail-modal');
+        const self = this;
+
+        // The station name and the readings both open the modal
+        for (const id of ['title', 'details']) {
+            const trigger = document.getElementById(id);
+            trigger.addEventListener('click', () => self.openModal());
+            trigger.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    self.openModal();
+                }
+            });
+        }
+
+        document.getElementById('station-detail-close').addEventListener('click', () => self.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'station-detail-modal') self.closeModal();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.hidden) {
+                self.closeModal();
+            }
+        });
+    }
+};
+
+// Initialize the station detail modal
+StationDetail.init();
+
+// --- Settings Panel ---
+
+/**
+ * SettingsPanel - Modal with user preferences (see Settings).
+ *
+ * The form is generated from `sections`: each field maps a Settings key to a
+ * set of options (or a URL input for type 'url'), and changes are saved immediately.
+ */
+const SettingsPanel = {
+    sections: [
+        {
+            titleKey: 'settings.units',
+            fields: [
+                {
+                    key: 'temperatureUnit',
+                    labelKey: 'field.temperature',
+                    options: [['C', '°C'], ['F', '°F']]
+                },
+                {
+                    key: 'windUnit',
+                    labelKey: 'field.wind',
+                    get options() {
+                        return [['ms', 'm/s'], ['kmh', 'km/h'], ['kn', t('unit.knots')], ['bft', 'Beaufort (Bf)']];
+                    }
+                },
+                {
+                    key: 'pressureUnit',
+                    labelKey: 'field.pressure',
+                    options: [['hPa', 'hPa'], ['mmHg', 'mmHg'], ['inHg', 'inHg']]
+                }
+            ]
+        },
+        {
+            titleKey: 'settings.display',
+            fields: [
+                {
+                    key: 'language',
+                    labelKey: 'settings.language',
+                    get options() {
+                        return [['auto', t('settings.languageAuto')], ...Object.entries(LANGUAGE_NAMES)];
+                    }
+                },
+                {
+                    key: 'timeDisplay',
+                    labelKey: 'settings.timeDisplay',
+                    get options() {
+                        return [['station', t('settings.timeStation')], ['device', t('settings.timeDevice')]];
+                    }
+                }
+            ]
+        },
+        {
+            titleKey: 'settings.stations',
+            fields: [
+                ...STATION_CLASSES.map(stationClass => ({
+                    key: 'hiddenStationClasses',
+                    labelKey: `stationClass.${stationClass}`,
+                    type: 'stationClass',
+                    stationClass
+                })),
+                {
+                    key: 'skipSuspectStations',
+                    labelKey: 'settings.skipSuspect',
+                    type: 'checkbox'
+                }
+            ]
+        },
+        {
+            titleKey: 'settings.proxy',
+            fields: [
+                {
+                    key: 'proxyUrl',
+                    labelKey: 'settings.proxyUrl',
+                    type: 'url',
+                    placeholder: 'https://'
+                }
+            ]
+        }
+    ],
+
+    /** Build the form from section definitions */
+    render() {
+        const form = document.getElementById('settings-form');
+        form.innerHTML = '';
+
+        for (const section of this.sections) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = t(section.titleKey);
+            fieldset.appendChild(legend);
+
+            for (const field of section.fields) {
+                const row = document.createElement('label');
+                row.className = 'settings-row';
+                const label = document.createElement('span');
+                label.textContent = t(field.labelKey);
+
+                const input = field.type === 'url' ? this.createUrlInput(field)
+                    : field.type === 'stationClass' ? this.createClassToggle(field)
+                    : field.type === 'checkbox' ? this.createCheckbox(field)
+                    : this.createSelect(field);
+                row.append(label, input);
+                fieldset.appendChild(row);
+            }
+            form.appendChild(fieldset);
+        }
+    },
+
+    /**
+     * @param {{key: string, options: string[][]}} field
+     * @returns {HTMLSelectElement} Select saving the chosen option immediately
+     */
+    createSelect(field) {
+        const select = document.createElement('select');
+        for (const [value, text] of field.options) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            select.appendChild(opt);
+        }
+        select.value = Settings.get(field.key);
+        select.addEventListener('change', () => Settings.set(field.key, select.value));
+        return select;
+    },
+
+    /**
+     * @param {{key: string, placeholder?: string}} field
+     * @returns {HTMLInputElement} URL input, saved (without trailing slash) when edited
+     */
+    createUrlInput(field) {
+        const input = document.createElement('input');
+        input.type = 'url';
+        input.placeholder = field.placeholder || '';
+        input.autocomplete = 'off';
+        input.value = Settings.get(field.key);
+        input.addEventListener('change', () => Settings.set(field.key, input.value.trim().replace(/\/+$/, '')));
+        return input;
+    },
+
+    /**
+     * @param {{key: string}} field
+     * @returns {HTMLInputElement} Checkbox for a boolean setting, saved immediately
+     */
+    createCheckbox(field) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = Settings.get(field.key);
+        input.addEventListener('change', () => Settings.set(field.key, input.checked));
+        return input;
+    },
+
+    /**
+     * @param {{key: string, stationClass: string}} field
+     * @returns {HTMLInputElement} Checkbox showing (checked) or hiding a station class
+     */
+    createClassToggle(field) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !Settings.get(field.key).includes(field.stationClass);
+        input.addEventListener('change', () => {
+            const others = Settings.get(field.key).filter(c => c !== field.stationClass);
+            Settings.set(field.key, input.checked ? others : [...others, field.stationClass]);
+        });
+        return input;
+    },
+
+    // --- Modal ---
+    /** Check if settings modal is open */
+    isOpen() {
+        return !document.getElementById('settings-modal').hidden;
+    },
+
+    /** Open the settings modal */
+    openModal() {
+        this.render();
+        document.getElementById('settings-modal').hidden = false;
+        // Push state so Android back button closes modal instead of exiting app
+        history.pushState({ settingsModal: true }, '');
+    },
+
+    /**
+     * Close the settings modal.
+     * @param {boolean} [popHistory=true] - Whether to pop the history state.
+     *        Set to false when closing in response to popstate (back button).
+     */
+    closeModal(popHistory = true) {
+        if (!this.isOpen()) return;
+        document.getElementById('settings-modal').hidden = true;
+        if (popHistory) history.back();
+    },
+
+    // --- Initialization ---
+    init() {
+        const modal = document.getElementById('settings-modal');
+        const self = this;
+
+        document.getElementById('settings-trigger').addEventListener('click', () => self.openModal());
+        document.getElementById('settings-close').addEventListener('click', () => self.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'settings-modal') self.closeModal();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.hidden) {
+                self.closeModal();
+            }
+        });
+    }
+};
+
+// Initialize the settings panel
+SettingsPanel.init();
+
+/**
+ * Re-render everything that displays values or text after a setting changed:
+ * static labels, the dropdown and widget, and any open modal.
+ */
+function applySettings() {
+    translatePage();
+    if (cachedStations) {
+        LocationPicker.populate(Object.keys(cachedStations).sort(new Intl.Collator('hr').compare));
+    }
+    if (SettingsPanel.isOpen()) SettingsPanel.render();
+    renderSelectedStation();
+    Sparkline.redraw();
+    if (StationMap.isOpen()) StationMap.renderStations();
+    if (StationTable.isOpen()) {
+        StationTable.renderHeader();
+        StationTable.renderRows();
+    }
+    if (StationDetail.isOpen()) StationDetail.render();
+}
+
+/** Check if any dropdown or modal is open (they take over keyboard input) */
+function isOverlayOpen() {
+    return LocationPicker.isOpen() || StationMap.isOpen() || StationTable.isOpen() || StationDetail.isOpen() ||
+        SettingsPanel.isOpen();
+}
+
 /**
  * History Management for Android Back Button
  *
@@ -2153,7 +5110,7 @@ StationMap.init();
  * exiting the app.
  *
  * How it works:
- * - open()/openModal() push a history state
+ * - open()/openModal() push a history state (map and table modals alike)
  * - close()/closeModal() pop history by default (popHistory=true)
  * - The popstate handler closes whatever is open (with popHistory=false
  *   since the browser already popped the state)
@@ -2166,6 +5123,12 @@ StationMap.init();
 window.addEventListener('popstate', () => {
     if (StationMap.isOpen()) {
         StationMap.closeModal(false);
+    } else if (StationTable.isOpen()) {
+        StationTable.closeModal(false);
+    } else if (StationDetail.isOpen()) {
+        StationDetail.closeModal(false);
+    } else if (SettingsPanel.isOpen()) {
+        SettingsPanel.closeModal(false);
     } else if (LocationPicker.isOpen()) {
         LocationPicker.close(false);
     }
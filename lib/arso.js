@@ -0,0 +1,179 @@
+/**
+ * ARSO (meteo.arso.gov.si) feed parser.
+ */
+
+import { FetchError } from './errors.js';
+import { formatClockTime } from './time.js';
+import { parseXml, findFirst, findAll } from './xml.js';
+import { toCompassPoint } from './geo.js';
+import { PljusakParser } from './pljusak.js';
+
+/** @typedef {import('./stations.js').StationData} StationData */
+/** @typedef {import('./xml.js').XmlElement} XmlElement */
+
+/*
+ * ARSO XML STRUCTURE (observationAms_si_latest.xml, automatic stations)
+ *
+ * <?xml version="1.0" encoding="UTF-8"?>
+ * <data id="MeteoSI_WebMet_observation_xml">
+ *   <credit>meteo.si - ARSO</credit>
+ *   ...
+ *   <metData>                                  <!-- One per station -->
+ *     <domain_meteosiId>LJUBL-ANA_BEZIGRAD_</domain_meteosiId>
+ *     <domain_title>LJUBLJANA</domain_title>
+ *     <domain_longTitle>Ljubljana</domain_longTitle>
+ *     <domain_lat>46.0655</domain_lat>
+ *     <domain_lon>14.5124</domain_lon>
+ *     <tsValid_issued_UTC>19.10.2026 12:00 UTC</tsValid_issued_UTC>
+ *     <t>14.1</t>                              <!-- Temperature in °C -->
+ *     <td>9.3</td>                             <!-- Dew point in °C -->
+ *     <rh>73</rh>                              <!-- Relative humidity % -->
+ *     <msl>1018</msl>                          <!-- Sea-level pressure in hPa -->
+ *     <dd_val>225</dd_val>                     <!-- Wind direction in degrees -->
+ *     <dd_shortText>JZ</dd_shortText>          <!-- Same, Slovenian compass -->
+ *     <ff_val>2.1</ff_val>                     <!-- Wind speed in m/s -->
+ *     <nn_shortText>pretežno oblačno</nn_shortText>  <!-- Cloudiness, Slovenian -->
+ *     ...
+ *   </metData>
+ * </data>
+ *
+ * Missing values are empty elements. Each station carries its own time,
+ * in UTC; a station that stops reporting keeps its last time (and is
+ * dropped once that's older than MAX_AGE_MS).
+ */
+
+/**
+ * ArsoParser - Parses weather data from ARSO's XML observations.
+ */
+export const ArsoParser = {
+    /** Maximum age for readings - older stations are filtered out (2 hours, four missed reports) */
+    MAX_AGE_MS: 2 * 60 * 60 * 1000,
+
+    /**
+     * Parses ARSO XML response and returns station data.
+     * @param {string} xmlText - Raw XML response
+     * @param {Date} [now] - Current time, for filtering stale readings
+     * @returns {Object<string, StationData>}
+     */
+    parse(xmlText, now = new Date()) {
+        // Verify we got XML, not an error page
+        if (!xmlText.startsWith('<?xml')) {
+            console.error('[vrijeme] Invalid response (not XML):', xmlText.substring(0, 200));
+            throw new FetchError('proxyHtml', 'Invalid response from proxy');
+        }
+
+        let root;
+        try {
+            root = parseXml(xmlText);
+        } catch (e) {
+            console.error('[vrijeme] XML parse error:', e.message);
+            throw new FetchError('format', 'XML parse error');
+        }
+        if (root.name !== 'data') {
+            throw new FetchError('format', `Unexpected root element <${root.name}>`);
+        }
+
+        return this.extractStations(root, now);
+    },
+
+    /**
+     * Parses a station's time, e.g., "19.10.2026 12:00 UTC".
+     * @param {string|null} text
+     * @returns {Date|null}
+     */
+    parseTime(text) {
+        const match = text?.match(/^(\d{2})\.(\d{2})\.(\d{4}) (\d{1,2}):(\d{2}) UTC$/);
+        if (!match) return null;
+        const [, day, month, year, hour, minute] = match;
+        return new Date(Date.UTC(+year, month - 1, +day, +hour, +minute));
+    },
+
+    /**
+     * Extracts all stations from ARSO XML.
+     * @param {XmlElement} root - Parsed document root
+     * @param {Date} now - Current time, for filtering stale readings
+     * @returns {Object<string, StationData>}
+     */
+    extractStations(root, now) {
+        /** @type {Object<string, StationData>} */
+        const result = {};
+        let staleCount = 0;
+
+        for (const station of findAll(root, 'metData')) {
+            const name = getTextOrNull(station, 'domain_longTitle') ?? getTextOrNull(station, 'domain_title');
+            if (!name) continue;
+
+            // Skip if no valid temperature
+            const temperature = getNumberOrNull(station, 't');
+            if (temperature === null) continue;
+
+            const lat = parseFloat(getTextOrNull(station, 'domain_lat'));
+            const lon = parseFloat(getTextOrNull(station, 'domain_lon'));
+            if (!isFinite(lat) || !isFinite(lon)) continue;
+
+            // Filter out stations that stopped reporting
+            const measurementTime = this.parseTime(getTextOrNull(station, 'tsValid_issued_UTC'));
+            if (!measurementTime || (now - measurementTime) > this.MAX_AGE_MS) {
+                staleCount++;
+                continue;
+            }
+
+            const humidity = getNumberOrNull(station, 'rh');
+            const windSpeed = getNumberOrNull(station, 'ff_val');
+            const dewPoint = getNumberOrNull(station, 'td');
+            const windDegrees = getNumberOrNull(station, 'dd_val');
+
+            result[name] = {
+                name,
+                lat,
+                lon,
+                temperature,
+                humidity,
+                pressure: getNumberOrNull(station, 'msl'),
+                pressureTrend: null,
+                windDirection: windDegrees !== null ? toCompassPoint(windDegrees) : null,
+                windSpeed,
+                dewPoint,
+                // The feed's texts are Slovenian, so conditions are generated like pljusak's
+                condition: null,
+                conditionKey: PljusakParser.generateDescription(temperature, humidity, windSpeed, dewPoint),
+                measurementTime
+            };
+        }
+
+        if (staleCount > 0) {
+            console.log('[vrijeme] Filtered out', staleCount, 'stations with readings older than 2h');
+        }
+
+        return result;
+    },
+
+    /**
+     * Formats measurement time for display (minute precision, half-hourly readings).
+     * @param {Date} date
+     * @param {string} [timeZone] - Display time zone, device zone if omitted
+     * @returns {string} e.g., "14:30"
+     */
+    formatTime(date, timeZone) {
+        return formatClockTime(date, timeZone);
+    }
+};
+
+/**
+ * Gets text content of a child element, or null if empty/missing.
+ * @param {XmlElement} parent
+ * @param {string} name - Child element name
+ * @returns {string|null}
+ */
+function getTextOrNull(parent, name) {
+    const text = findFirst(parent, name)?.text.trim();
+    return text || null;
+}
+
+/** Helper to get numeric content from an XML element, or null if missing/invalid */
+function getNumberOrNull(parent, name) {
+    const text = getTextOrNull(parent, name);
+    if (text === null) return null;
+    const num = parseFloat(text);
+    return isNaN(num) ? null : num;
+}
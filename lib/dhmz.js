@@ -0,0 +1,167 @@
+/**
+ * DHMZ (vrijeme.hr) feed parser.
+ */
+
+import { FetchError } from './errors.js';
+import { getZonedParts, zonedTimeToDate } from './time.js';
+import { parseXml, findFirst, findAll } from './xml.js';
+
+/** @typedef {import('./stations.js').StationData} StationData */
+/** @typedef {import('./xml.js').XmlElement} XmlElement */
+
+/*
+ * DHMZ XML STRUCTURE (https://vrijeme.hr/hrvatska1_n.xml)
+ *
+ * <?xml version="1.0" encoding="UTF-8"?>
+ * <Hrvatska>
+ *   <DatumTermin>
+ *     <Datum>DD.MM.YYYY</Datum>    <!-- Measurement date -->
+ *     <Termin>HH</Termin>          <!-- Hour (0-23) -->
+ *   </DatumTermin>
+ *   <Grad autom="0|1">             <!-- autom: 0=manual, 1=automatic station -->
+ *     <GradIme>Station Name</GradIme>
+ *     <Lat>XX.XXX</Lat>            <!-- Latitude (42-47°N) -->
+ *     <Lon>XX.XXX</Lon>            <!-- Longitude (13-19°E) -->
+ *     <Podatci>
+ *       <Temp>XX.X</Temp>          <!-- Temperature in °C -->
+ *       <Vlaga>XX</Vlaga>          <!-- Relative humidity % -->
+ *       <Tlak>XXXX.X</Tlak>        <!-- Pressure in hPa -->
+ *       <TlakTend>+X.X</TlakTend>  <!-- Pressure tendency -->
+ *       <VjetarSmjer>XX</VjetarSmjer>      <!-- Wind direction -->
+ *       <VjetarBrzina>X.X</VjetarBrzina>   <!-- Wind speed in m/s -->
+ *       <Vrijeme>description</Vrijeme>     <!-- Weather description -->
+ *     </Podatci>
+ *   </Grad>
+ * </Hrvatska>
+ */
+
+/**
+ * DhmzParser - Parses weather data from DHMZ (vrijeme.hr) XML format.
+ */
+export const DhmzParser = {
+    /**
+     * Parses DHMZ XML response and returns station data.
+     * @param {string} xmlText - Raw XML response
+     * @returns {Object<string, StationData>}
+     */
+    parse(xmlText) {
+        // Verify we got XML, not an error page
+        if (!xmlText.startsWith('<?xml')) {
+            console.error('[vrijeme] Invalid response (not XML):', xmlText.substring(0, 200));
+            throw new FetchError('proxyHtml', 'Invalid response from proxy');
+        }
+
+        let root;
+        try {
+            root = parseXml(xmlText);
+        } catch (e) {
+            console.error('[vrijeme] XML parse error:', e.message);
+            throw new FetchError('format', 'XML parse error');
+        }
+
+        const measurementTime = this.extractMeasurementTime(root);
+        return this.extractStations(root, measurementTime);
+    },
+
+    /**
+     * Extracts measurement timestamp from DHMZ XML (Croatian local time).
+     * @param {XmlElement} root - Parsed document root
+     * @returns {Date|null}
+     */
+    extractMeasurementTime(root) {
+        const datumTermin = findFirst(root, 'DatumTermin');
+        if (!datumTermin) return null;
+
+        const datum = findFirst(datumTermin, 'Datum');
+        const termin = findFirst(datumTermin, 'Termin');
+
+        if (datum && termin) {
+            // Datum format: "DD.MM.YYYY", Termin format: "HH"
+            const match = datum.text.trim().match(/(\d{2})\.(\d{2})\.(\d{4})/);
+            if (!match) return null;
+            const [, day, month, year] = match;
+            const hour = parseInt(termin.text.trim(), 10);
+            return zonedTimeToDate({ year: +year, month: +month, day: +day, hour });
+        }
+        return null;
+    },
+
+    /**
+     * Extracts all stations from DHMZ XML.
+     * @param {XmlElement} root - Parsed document root
+     * @param {Date|null} measurementTime
+     * @returns {Object<string, StationData>}
+     */
+    extractStations(root, measurementTime) {
+        const stations = findAll(root, 'Grad');
+        /** @type {Object<string, StationData>} */
+        const result = {};
+
+        stations.forEach(station => {
+            const nameEl = findFirst(station, 'GradIme');
+            if (!nameEl) return;
+
+            const name = nameEl.text.trim();
+            const lat = parseFloat(findFirst(station, 'Lat')?.text);
+            const lon = parseFloat(findFirst(station, 'Lon')?.text);
+            const data = findFirst(station, 'Podatci');
+            if (!data) return;
+
+            const temp = findFirst(data, 'Temp');
+            const tempValue = temp?.text.trim();
+
+            // Skip if no valid temperature
+            if (!tempValue || tempValue === '-') return;
+
+            // autom is "1" for automatic stations and "0" for ones read by an observer
+            const autom = station.attributes.autom;
+
+            result[name] = {
+                name,
+                automatic: autom === '1' ? true : autom === '0' ? false : null,
+                lat,
+                lon,
+                temperature: parseFloat(tempValue),
+                humidity: getNumberOrNull(data, 'Vlaga'),
+                pressure: getNumberOrNull(data, 'Tlak'),
+                pressureTrend: getNumberOrNull(data, 'TlakTend'),
+                windDirection: getTextOrNull(data, 'VjetarSmjer'),
+                windSpeed: getNumberOrNull(data, 'VjetarBrzina'),
+                dewPoint: null,
+                condition: getTextOrNull(data, 'Vrijeme'),
+                measurementTime
+            };
+        });
+
+        return result;
+    },
+
+    /**
+     * Formats measurement time for display (hour precision).
+     * @param {Date} date
+     * @param {string} [timeZone] - Display time zone, device zone if omitted
+     * @returns {string} e.g., "19h"
+     */
+    formatTime(date, timeZone) {
+        return `${getZonedParts(date, timeZone).hour}h`;
+    }
+};
+
+/**
+ * Gets text content of a child element, or null if empty/missing.
+ * @param {XmlElement} parent
+ * @param {string} name - Child element name
+ * @returns {string|null}
+ */
+function getTextOrNull(parent, name) {
+    const text = findFirst(parent, name)?.text.trim();
+    return (text && text !== '-') ? text : null;
+}
+
+/** Helper to get numeric content from an XML element, or null if missing/invalid */
+function getNumberOrNull(parent, name) {
+    const text = getTextOrNull(parent, name);
+    if (text === null) return null;
+    const num = parseFloat(text);
+    return isNaN(num) ? null : num;
+}
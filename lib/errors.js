@@ -0,0 +1,28 @@
+/**
+ * Fetch errors shared by the parsers and the app's fetch/retry logic.
+ */
+
+/**
+ * FetchError - A failed fetch, classified so each kind gets its own message
+ * (STRINGS error.<kind>) and retry policy (RETRY_POLICIES).
+ *
+ * Kinds:
+ * - offline: the request couldn't be made at all (no network, DNS, CORS)
+ * - http: the proxy (or the upstream behind it) answered with an error status
+ * - proxyHtml: the proxy answered 200 with its own error page instead of data
+ * - format: the payload arrived but doesn't parse (upstream format change)
+ * - empty: the payload parsed but contains no usable stations
+ */
+export class FetchError extends Error {
+    /**
+     * @param {'offline'|'http'|'proxyHtml'|'format'|'empty'} kind
+     * @param {string} message - Technical detail (for the console)
+     * @param {number|null} [status=null] - HTTP status for 'http' errors
+     */
+    constructor(kind, message, status = null) {
+        super(message);
+        this.name = 'FetchError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
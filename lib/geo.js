@@ -0,0 +1,78 @@
+/**
+ * Geographic helpers: distances, compass directions and nearest-station lookup.
+ */
+
+/** @typedef {import('./stations.js').StationData} StationData */
+
+/**
+ * Calculates distance between two coordinates using Haversine formula.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in kilometers
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in km
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/** Compass points in clockwise order, 22.5° apart (N = 0°) */
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+                        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Converts a wind direction to degrees (direction the wind blows from, N = 0°).
+ *
+ * Accepts DHMZ codes (8-point compass like "SW", "C" for calm) and pljusak
+ * compass strings (16-point like "SSW"), as well as plain numeric degrees.
+ * @param {string|null} direction
+ * @returns {number|null} Degrees, or null for calm/variable/unknown
+ */
+export function parseWindDirection(direction) {
+    if (!direction) return null;
+    const dir = String(direction).trim().toUpperCase();
+    const index = COMPASS_POINTS.indexOf(dir);
+    if (index >= 0) return index * 22.5;
+    if (/^\d+(\.\d+)?$/.test(dir)) return parseFloat(dir) % 360;
+    return null;
+}
+
+/**
+ * Converts degrees to the nearest 16-point compass direction.
+ * @param {number} degrees - Direction the wind blows from (N = 0°)
+ * @returns {string} e.g., "SSW"
+ */
+export function toCompassPoint(degrees) {
+    const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % COMPASS_POINTS.length;
+    return COMPASS_POINTS[index];
+}
+
+/**
+ * Finds the nearest station to given coordinates.
+ * @param {Object<string, StationData>} stations
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{name: string, distance: number}|null} Station name and distance in km, or null if none found
+ */
+export function findNearestStation(stations, lat, lon) {
+    let nearest = null;
+    let minDist = Infinity;
+
+    for (const [name, station] of Object.entries(stations)) {
+        if (!isFinite(station.lat) || !isFinite(station.lon)) continue;
+        const dist = haversineDistance(lat, lon, station.lat, station.lon);
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = name;
+        }
+    }
+
+    console.log('[vrijeme] Nearest station:', nearest, `(${minDist.toFixed(1)} km)`);
+    return nearest ? { name: nearest, distance: minDist } : null;
+}
@@ -0,0 +1,363 @@
+/**
+ * pljusak.com feed parser.
+ */
+
+import { FetchError } from './errors.js';
+import { STATION_TIME_ZONE, getZonedParts, zonedTimeToDate, formatClockTime } from './time.js';
+import { flagSuspectReadings } from './quality.js';
+
+/** @typedef {import('./stations.js').StationData} StationData */
+
+/*
+ * PLJUSAK.COM DATA STRUCTURE (https://pljusak.com/karta.php)
+ *
+ * The page contains a JavaScript array `var podaci = [...]` with weather
+ * observations from amateur stations. Data updates every 5-15 minutes.
+ *
+ * Each station entry is an array:
+ *   [0]  Type (lokalna, wu_05, wu_15, dhmz, arso, etc.)
+ *   [1]  Station name
+ *   [2]  Latitude (string)
+ *   [3]  Longitude (string)
+ *   [4]  Elevation in meters
+ *   [5]  Priority/order number
+ *   [6]  Station URL
+ *   [7]  Device type (e.g., "Davis Vantage Pro2")
+ *   [8]  Software (e.g., "WeatherLink")
+ *   [9]  Notes
+ *   [10] Measurement time (HH:MM:SS)
+ *   [11] Webcam URL (optional)
+ *   [12] Temperature in °C
+ *   [13] Temperature trend (recent change in °C)
+ *   [14] Pressure in hPa
+ *   [15] Pressure trend
+ *   [16] Humidity %
+ *   [17] Wind direction (e.g., "SSW", "N")
+ *   [18] Wind speed in m/s
+ *   [19] Wind gust in m/s
+ *   [20] Precipitation rate in mm/h
+ *   [21] Precipitation since midnight in mm
+ *   [22] Lowest temperature since midnight in °C
+ *   [23] Highest temperature since midnight in °C
+ *   [24] Dew point in °C
+ *
+ * Missing values are "-" or empty strings, for text columns too.
+ *
+ * Columns 19-23 are assumed, not yet confirmed against a recorded response
+ * (test/fixtures/karta.php is hand-written in the layout above). Re-check
+ * them when a real page is recorded.
+ */
+
+/**
+ * PljusakParser - Parses weather data from pljusak.com JavaScript array format.
+ */
+export const PljusakParser = {
+    /** Data array indices */
+    INDICES: {
+        TYPE: 0,
+        NAME: 1,
+        LAT: 2,
+        LON: 3,
+        ELEVATION: 4,
+        URL: 6,
+        DEVICE: 7,
+        SOFTWARE: 8,
+        TIME: 10,
+        WEBCAM: 11,
+        TEMPERATURE: 12,
+        TEMPERATURE_TREND: 13,
+        PRESSURE: 14,
+        PRESSURE_TREND: 15,
+        HUMIDITY: 16,
+        WIND_DIR: 17,
+        WIND_SPEED: 18,
+        WIND_GUST: 19,
+        PRECIPITATION_RATE: 20,
+        PRECIPITATION_TODAY: 21,
+        TEMPERATURE_MIN: 22,
+        TEMPERATURE_MAX: 23,
+        DEWPOINT: 24
+    },
+
+    /** Maximum age for readings - older stations are filtered out (12 hours) */
+    MAX_AGE_MS: 12 * 60 * 60 * 1000,
+
+    /**
+     * Parses pljusak.com HTML response and returns station data, with
+     * readings that disagree with neighbouring stations flagged (see quality.js).
+     * @param {string} htmlText - Raw HTML response containing JavaScript
+     * @param {Date} [now] - Current time, for dating and filtering readings
+     * @returns {Object<string, StationData>}
+     */
+    parse(htmlText, now = new Date()) {
+        // Extract the podaci array from the JavaScript
+        const podaciMatch = htmlText.match(/var\s+podaci\s*=\s*(\[[\s\S]*?\]);/);
+        if (!podaciMatch) {
+            console.error('[vrijeme] Could not find podaci array in response');
+            // A page that isn't pljusak.com at all is the proxy's own error page
+            const kind = /pljusak/i.test(htmlText) ? 'format' : 'proxyHtml';
+            throw new FetchError(kind, 'Invalid response format');
+        }
+
+        let podaci;
+        try {
+            podaci = JSON.parse(podaciMatch[1]);
+        } catch (e) {
+            console.error('[vrijeme] Failed to parse podaci array:', e);
+            throw new FetchError('format', 'Failed to parse weather data');
+        }
+
+        console.log('[vrijeme] Parsed', podaci.length, 'station entries');
+        // Amateur sensors can be badly placed or broken; check them against each other
+        return flagSuspectReadings(this.extractStations(podaci, now));
+    },
+
+    /**
+     * Parses measurement time from pljusak.com format (HH:MM:SS, Croatian local time).
+     * @param {string|null} timeStr - Time string like "18:10:00"
+     * @param {Date} [now] - Current time; readings are at most a day old
+     * @returns {Date|null}
+     */
+    parseTime(timeStr, now = new Date()) {
+        if (!timeStr || typeof timeStr !== 'string') return null;
+        const match = timeStr.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+        if (!match) return null;
+
+        // "Today" in Croatia, which differs from the device's date around midnight abroad
+        const { year, month, day } = getZonedParts(now, STATION_TIME_ZONE);
+        const time = { year, month, day, hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+
+        // If measurement time is in the future, assume it's from yesterday
+        const measurementTime = zonedTimeToDate(time);
+        return measurementTime > now ? zonedTimeToDate({ ...time, day: day - 1 }) : measurementTime;
+    },
+
+    /**
+     * Extracts all stations from pljusak.com podaci array.
+     * Filters out stations with readings older than 12 hours.
+     * @param {Array[]} podaci - Array of station data arrays
+     * @param {Date} [now] - Current time
+     * @returns {Object<string, StationData>}
+     */
+    extractStations(podaci, now = new Date()) {
+        const I = this.INDICES;
+        /** @type {Object<string, StationData>} */
+        const result = {};
+        let staleCount = 0;
+
+        for (const entry of podaci) {
+            const name = entry[I.NAME];
+            if (!name) continue;
+
+            const tempStr = entry[I.TEMPERATURE];
+            // Skip if no valid temperature
+            if (tempStr === null || tempStr === undefined || tempStr === '-' || tempStr === '') continue;
+
+            const temperature = parseFloat(tempStr);
+            if (isNaN(temperature)) continue;
+
+            const lat = parseFloat(entry[I.LAT]);
+            const lon = parseFloat(entry[I.LON]);
+            if (!isFinite(lat) || !isFinite(lon)) continue;
+
+            const measurementTime = this.parseTime(entry[I.TIME], now);
+
+            // Filter out stations with stale readings (older than 12 hours)
+            if (!measurementTime || (now - measurementTime) > this.MAX_AGE_MS) {
+                staleCount++;
+                continue;
+            }
+
+            const humidity = parseNumberOrNull(entry[I.HUMIDITY]);
+            const windSpeed = parseNumberOrNull(entry[I.WIND_SPEED]);
+            const dewpoint = parseNumberOrNull(entry[I.DEWPOINT]);
+
+            result[name] = {
+                name,
+                stationType: entry[I.TYPE] || null,
+                lat,
+                lon,
+                temperature,
+                humidity,
+                pressure: parseNumberOrNull(entry[I.PRESSURE]),
+                pressureTrend: parseNumberOrNull(entry[I.PRESSURE_TREND]),
+                windDirection: entry[I.WIND_DIR] || null,
+                windSpeed,
+                dewPoint: dewpoint,
+                condition: null,
+                conditionKey: this.generateDescription(temperature, humidity, windSpeed, dewpoint),
+                measurementTime,
+                temperatureTrend: parseNumberOrNull(entry[I.TEMPERATURE_TREND]),
+                temperatureMin: parseNumberOrNull(entry[I.TEMPERATURE_MIN]),
+                temperatureMax: parseNumberOrNull(entry[I.TEMPERATURE_MAX]),
+                windGust: parseNumberOrNull(entry[I.WIND_GUST]),
+                precipitationRate: parseNumberOrNull(entry[I.PRECIPITATION_RATE]),
+                precipitationToday: parseNumberOrNull(entry[I.PRECIPITATION_TODAY]),
+                elevation: parseNumberOrNull(entry[I.ELEVATION]),
+                device: parseTextOrNull(entry[I.DEVICE]),
+                software: parseTextOrNull(entry[I.SOFTWARE]),
+                url: parseTextOrNull(entry[I.URL]),
+                webcamUrl: parseTextOrNull(entry[I.WEBCAM])
+            };
+        }
+
+        if (staleCount > 0) {
+            console.log('[vrijeme] Filtered out', staleCount, 'stations with readings older than 12h');
+        }
+
+        return result;
+    },
+
+    /**
+     * Generates a weather description based on measured values.
+     * Used because pljusak.com doesn't provide condition text.
+     * Returns a key into the condition.* strings, so the text follows the UI language.
+     *
+     * @param {number} temp - Temperature in °C
+     * @param {number|null} humidity - Relative humidity in %
+     * @param {number|null} windSpeed - Wind speed in m/s
+     * @param {number|null} dewpoint - Dewpoint temperature in °C
+     * @returns {string} Condition key, e.g., "warmBreeze" (see STRINGS)
+     */
+    generateDescription(temp, humidity, windSpeed, dewpoint) {
+        // Wind levels (m/s)
+        const isCalm = windSpeed === null || windSpeed < 3;
+        const hasBreeze = windSpeed !== null && windSpeed >= 3 && windSpeed < 6;
+        const isWindy = windSpeed !== null && windSpeed >= 6 && windSpeed < 11;
+        const isStrongWind = windSpeed !== null && windSpeed >= 11;
+
+        // Fog: very strict - near-saturation, tight dewpoint spread, calm, cool temps.
+        // Real fog is rare; when uncertain, prefer non-fog descriptions.
+        const isFoggy = dewpoint !== null &&
+                        humidity !== null &&
+                        humidity >= 97 &&
+                        Math.abs(temp - dewpoint) <= 1 &&
+                        temp >= -3 && temp <= 15 &&
+                        isCalm;
+
+        // Humidity feel (temperature-dependent)
+        const isMuggy = humidity !== null && humidity >= 65 && temp >= 26;
+        const isOppressive = humidity !== null && humidity >= 75 && temp >= 30;
+        const isDamp = humidity !== null && humidity >= 85 && temp < 12;
+        const isDry = humidity !== null && humidity < 30 && temp >= 25;
+
+        // Fog (rare)
+        if (isFoggy) {
+            return temp <= 0 ? 'freezingFog' : 'fog';
+        }
+
+        // Extreme heat (>= 36°C)
+        if (temp >= 36) {
+            if (isOppressive) return 'unbearablyMuggy';
+            if (isMuggy) return 'oppressiveHeat';
+            return 'scorching';
+        }
+
+        // Hot (30-36°C)
+        if (temp >= 30) {
+            if (isOppressive) return 'sultry';
+            if (isMuggy) return 'muggy';
+            if (isDry) return 'dryHeat';
+            if (isStrongWind) return 'hotStrongWind';
+            return 'hot';
+        }
+
+        // Warm (25-30°C)
+        if (temp >= 25) {
+            if (isMuggy) return 'warmMuggy';
+            if (hasBreeze) return 'warmBreeze';
+            if (isWindy || isStrongWind) return 'warmWindy';
+            return 'warm';
+        }
+
+        // Pleasant (20-25°C)
+        if (temp >= 20) {
+            if (humidity !== null && humidity >= 75) return 'warmHumid';
+            if (hasBreeze) return 'pleasant';
+            if (isWindy) return 'pleasantWindy';
+            if (isStrongWind) return 'mildWindy';
+            return 'pleasantTemperature';
+        }
+
+        // Mild (15-20°C)
+        if (temp >= 15) {
+            if (isStrongWind) return 'freshStrongWind';
+            if (isWindy) return 'freshWindy';
+            if (isDamp) return 'freshDamp';
+            return 'fresh';
+        }
+
+        // Cool (10-15°C)
+        if (temp >= 10) {
+            if (isStrongWind) return 'coldWind';
+            if (isWindy) return 'coolWindy';
+            if (isDamp) return 'coolDamp';
+            return 'cool';
+        }
+
+        // Chilly (5-10°C)
+        if (temp >= 5) {
+            if (isStrongWind) return 'bitingWind';
+            if (isWindy) return 'coldWindy';
+            if (isDamp) return 'rawDamp';
+            return 'cool';
+        }
+
+        // Cold (0-5°C)
+        if (temp >= 0) {
+            if (isStrongWind) return 'piercingWind';
+            if (isWindy) return 'coldBlustery';
+            if (isDamp) return 'dampCold';
+            return 'cold';
+        }
+
+        // Freezing (-5 to 0°C)
+        if (temp >= -5) {
+            if (isStrongWind) return 'freezingBitingWind';
+            if (isWindy) return 'freezingWindy';
+            return 'freezing';
+        }
+
+        // Very cold (-10 to -5°C)
+        if (temp >= -10) {
+            if (isWindy || isStrongWind) return 'hardFrostWindy';
+            return 'hardFrost';
+        }
+
+        // Extreme cold (< -10°C)
+        if (isWindy || isStrongWind) return 'bitterColdWindy';
+        return 'bitterCold';
+    },
+
+    /**
+     * Formats measurement time for display (minute precision).
+     * @param {Date} date
+     * @param {string} [timeZone] - Display time zone, device zone if omitted
+     * @returns {string} e.g., "19:05"
+     */
+    formatTime(date, timeZone) {
+        return formatClockTime(date, timeZone);
+    }
+};
+
+/**
+ * Parses a string value as a number, or returns null if invalid.
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function parseNumberOrNull(value) {
+    if (value === null || value === undefined || value === '-' || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Returns a trimmed text value, or null if missing.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function parseTextOrNull(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    return text === '' || text === '-' ? null : text;
+}
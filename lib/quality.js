@@ -0,0 +1,153 @@
+/**
+ * Neighbour-consistency check for amateur stations.
+ *
+ * Only amateur and Weather Underground stations are checked. Official
+ * stations relayed by pljusak.com are trusted and serve as neighbours only.
+ *
+ * A station is compared with the median of its nearest neighbours. Neighbour
+ * temperatures are first moved to the station's elevation with the standard
+ * lapse rate, so a mountain station isn't "too cold" next to valley ones.
+ * Readings further from the median than the neighbours' own spread allows
+ * are flagged, e.g. a sensor in direct sun or a dead humidity probe.
+ *
+ * pljusak keeps readings for hours, so only neighbours measured at about the
+ * same time count; yesterday's afternoon says nothing about tonight.
+ */
+
+import { haversineDistance } from './geo.js';
+import { getStationClass } from './stations.js';
+
+/** @typedef {import('./stations.js').StationData} StationData */
+
+/**
+ * @typedef {Object} SuspectReading
+ * @property {'temperatureHigh'|'temperatureLow'|'humidity'} reason
+ * @property {number} deviation - Difference from the neighbours' median (°C or %)
+ */
+
+/** Station classes (see getStationClass) whose readings are checked */
+const CHECKED_CLASSES = ['amateur', 'wunderground'];
+/** Neighbours considered per station */
+const MAX_NEIGHBOURS = 6;
+/** Stations further away don't count as neighbours (km) */
+const MAX_NEIGHBOUR_DISTANCE_KM = 25;
+/** Neighbours measured further apart in time than this don't count (ms) */
+const MAX_TIME_DIFFERENCE_MS = 60 * 60 * 1000;
+/** Fewer neighbours than this are too few to judge by */
+const MIN_NEIGHBOURS = 3;
+/** Standard atmosphere temperature lapse rate (°C per meter) */
+const LAPSE_RATE = 0.0065;
+/** Deviations up to this are never flagged, however alike the neighbours (°C, %) */
+const MIN_TOLERANCE = { temperature: 4, humidity: 25 };
+/** Allowed deviation in units of the neighbours' spread (scaled median absolute deviation) */
+const SPREAD_TOLERANCE = 3;
+
+/**
+ * @param {number[]} values - Non-empty
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Deviation of a value from the neighbours' median, if it exceeds the tolerance.
+ * @param {number} value
+ * @param {number[]} neighbourValues - At least MIN_NEIGHBOURS values
+ * @param {number} minTolerance
+ * @returns {number|null} Signed deviation, or null if within tolerance
+ */
+function outlierDeviation(value, neighbourValues, minTolerance) {
+    const center = median(neighbourValues);
+    // 1.4826 scales the median absolute deviation to a standard deviation for normal data
+    const spread = 1.4826 * median(neighbourValues.map(v => Math.abs(v - center)));
+    const deviation = value - center;
+    return Math.abs(deviation) > Math.max(minTolerance, SPREAD_TOLERANCE * spread) ? deviation : null;
+}
+
+/**
+ * Nearest stations within MAX_NEIGHBOUR_DISTANCE_KM, closest first, whose
+ * readings are within MAX_TIME_DIFFERENCE_MS of the station's. A station
+ * without a measurement time has none.
+ * @param {StationData} station
+ * @param {StationData[]} all
+ * @returns {StationData[]}
+ */
+function findNeighbours(station, all) {
+    if (!station.measurementTime) return [];
+    return all
+        .filter(other => other !== station && other.measurementTime &&
+            Math.abs(other.measurementTime - station.measurementTime) <= MAX_TIME_DIFFERENCE_MS)
+        .map(other => ({ other, distance: haversineDistance(station.lat, station.lon, other.lat, other.lon) }))
+        .filter(({ distance }) => distance <= MAX_NEIGHBOUR_DISTANCE_KM)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_NEIGHBOURS)
+        .map(({ other }) => other);
+}
+
+/**
+ * Neighbour temperature as it would be at the station's elevation. Without
+ * both elevations the reading is taken as is.
+ * @param {StationData} neighbour
+ * @param {StationData} station
+ * @returns {number} °C
+ */
+function temperatureAtElevation(neighbour, station) {
+    if (typeof neighbour.elevation !== 'number' || typeof station.elevation !== 'number') {
+        return neighbour.temperature;
+    }
+    return neighbour.temperature - (station.elevation - neighbour.elevation) * LAPSE_RATE;
+}
+
+/**
+ * Sets `suspect` on every station: the readings that disagree with its
+ * neighbours, empty when none do (or there are too few recent neighbours to
+ * tell, or the station is official).
+ * @param {Object<string, StationData>} stations
+ * @returns {Object<string, StationData>} The same object
+ */
+export function flagSuspectReadings(stations) {
+    const all = Object.values(stations);
+    let flaggedCount = 0;
+
+    for (const station of all) {
+        /** @type {SuspectReading[]} */
+        const suspect = [];
+        const neighbours = CHECKED_CLASSES.includes(getStationClass(station)) ? findNeighbours(station, all) : [];
+
+        if (neighbours.length >= MIN_NEIGHBOURS) {
+            const temperatures = neighbours.map(n => temperatureAtElevation(n, station));
+            const temperatureDeviation = outlierDeviation(station.temperature, temperatures, MIN_TOLERANCE.temperature);
+            if (temperatureDeviation !== null) {
+                suspect.push({
+                    reason: temperatureDeviation > 0 ? 'temperatureHigh' : 'temperatureLow',
+                    deviation: temperatureDeviation
+                });
+            }
+
+            const humidities = neighbours.map(n => n.humidity).filter(h => h !== null);
+            if (station.humidity !== null && humidities.length >= MIN_NEIGHBOURS) {
+                const humidityDeviation = outlierDeviation(station.humidity, humidities, MIN_TOLERANCE.humidity);
+                if (humidityDeviation !== null) suspect.push({ reason: 'humidity', deviation: humidityDeviation });
+            }
+        }
+
+        station.suspect = suspect;
+        if (suspect.length > 0) flaggedCount++;
+    }
+
+    if (flaggedCount > 0) {
+        console.log('[vrijeme] Flagged', flaggedCount, 'stations with suspect readings');
+    }
+    return stations;
+}
+
+/**
+ * @param {Object<string, StationData>} stations
+ * @returns {Object<string, StationData>} Stations without suspect readings
+ */
+export function withoutSuspect(stations) {
+    return Object.fromEntries(Object.entries(stations).filter(([, station]) => !station.suspect?.length));
+}
@@ -0,0 +1,100 @@
+/**
+ * Station data shape shared by all parsers, and station name helpers.
+ */
+
+/**
+ * @typedef {Object} StationData
+ * @property {string} name - Station name
+ * @property {string|null} [stationType] - pljusak.com station type (lokalna, wu_05, dhmz, arso, ...)
+ * @property {boolean|null} [automatic] - DHMZ automatic station (false: manual, read by an observer)
+ * @property {string} [source] - DATA_SOURCES key of the station's network, set when sources are combined
+ * @property {number} lat - Latitude
+ * @property {number} lon - Longitude
+ * @property {number} temperature - Temperature in °C
+ * @property {number|null} humidity - Relative humidity %
+ * @property {number|null} pressure - Atmospheric pressure in hPa
+ * @property {number|null} pressureTrend - Pressure tendency (+/- value)
+ * @property {string|null} windDirection - Wind direction
+ * @property {number|null} windSpeed - Wind speed in m/s
+ * @property {number|null} dewPoint - Measured dew point in °C (null if the source doesn't report it)
+ * @property {string|null} condition - Weather condition text from the source (Croatian)
+ * @property {string|null} [conditionKey] - Generated condition, key into condition.* strings
+ * @property {Date|null} measurementTime - When the measurement was taken
+ *
+ * Reported by pljusak.com only (undefined for other sources, null when a station omits them):
+ * @property {number|null} [temperatureTrend] - Recent temperature change in °C, like pressureTrend
+ * @property {number|null} [temperatureMin] - Lowest temperature since midnight in °C
+ * @property {number|null} [temperatureMax] - Highest temperature since midnight in °C
+ * @property {number|null} [windGust] - Wind gust in m/s
+ * @property {number|null} [precipitationRate] - Precipitation rate in mm/h
+ * @property {number|null} [precipitationToday] - Precipitation since midnight in mm
+ * @property {number|null} [elevation] - Elevation in meters
+ * @property {string|null} [device] - Weather station model
+ * @property {string|null} [software] - Software uploading the readings
+ * @property {string|null} [url] - Station web page
+ * @property {string|null} [webcamUrl] - Webcam image or page
+ * @property {import('./quality.js').SuspectReading[]} [suspect] - Readings that disagree with
+ *           neighbouring stations (see flagSuspectReadings)
+ */
+
+/**
+ * Parses station name into display components.
+ * For city stations (e.g., "Zagreb-Grič" or "Zagreb, Podsused"), returns city as title
+ * and location as subtitle. Separator depends on data source.
+ * For other stations, returns full name as title with no subtitle.
+ * @param {string} name - Station name
+ * @param {{nameSeparator: string, cityPrefixes: string[]|null}} config - Naming rules of the
+ *        station's source (see DATA_SOURCES)
+ * @returns {{title: string, subtitle: string|null}}
+ */
+export function parseStationName(name, config) {
+    const separator = config.nameSeparator;
+    const sepIndex = name.indexOf(separator);
+    if (sepIndex > 0) {
+        const prefix = name.substring(0, sepIndex);
+        // If cityPrefixes is null, always split; otherwise check whitelist
+        if (config.cityPrefixes === null || config.cityPrefixes.includes(prefix)) {
+            return {
+                title: prefix,
+                subtitle: name.substring(sepIndex + separator.length)
+            };
+        }
+    }
+    return { title: name, subtitle: null };
+}
+
+/**
+ * Station classes that can be hidden in settings, in display order: DHMZ
+ * automatic stations and ones read by an observer, pljusak.com's own amateur
+ * stations, Weather Underground stations it relays, and official (DHMZ and
+ * ARSO) stations it relays.
+ */
+export const STATION_CLASSES = ['automatic', 'manual', 'amateur', 'wunderground', 'relayed'];
+
+/**
+ * @param {StationData} station
+ * @returns {string|null} Key from STATION_CLASSES, or null for stations their
+ *          source doesn't classify (ARSO, unknown pljusak.com types)
+ */
+export function getStationClass(station) {
+    if (station.automatic === true) return 'automatic';
+    if (station.automatic === false) return 'manual';
+    const type = station.stationType;
+    if (!type) return null;
+    if (type === 'lokalna') return 'amateur';
+    if (type.startsWith('wu_')) return 'wunderground';
+    if (type === 'dhmz' || type === 'arso') return 'relayed';
+    return null;
+}
+
+/**
+ * @param {Object<string, StationData>} stations
+ * @param {string[]} hiddenClasses - Keys from STATION_CLASSES
+ * @returns {Object<string, StationData>} Stations outside the hidden classes
+ *          (the same object when no class is hidden)
+ */
+export function filterStations(stations, hiddenClasses) {
+    if (hiddenClasses.length === 0) return stations;
+    return Object.fromEntries(Object.entries(stations)
+        .filter(([, station]) => !hiddenClasses.includes(getStationClass(station))));
+}
@@ -0,0 +1,82 @@
+/**
+ * Station time zone helpers. Both feeds report Croatian wall-clock time
+ * without an offset, so timestamps are interpreted in STATION_TIME_ZONE
+ * regardless of where the device (or the test runner) is.
+ */
+
+export const STATION_TIME_ZONE = 'Europe/Zagreb';
+
+/** Intl formatters by time zone (undefined = device zone); creating them is slow */
+const zonedFormatters = new Map();
+
+/**
+ * Wall-clock date and time of an instant in a time zone.
+ * @param {Date|number} date
+ * @param {string} [timeZone] - IANA zone name, device zone if omitted
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *          Month is 1-12
+ */
+export function getZonedParts(date, timeZone) {
+    let formatter = zonedFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        zonedFormatters.set(timeZone, formatter);
+    }
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+/**
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone
+ * @returns {number} Offset of the zone from UTC at that instant, in ms (+2h for CEST)
+ */
+export function getTimeZoneOffset(timestamp, timeZone) {
+    const p = getZonedParts(timestamp, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a Date. Out-of-range fields
+ * roll over like in Date.UTC (day 0 is the last day of the previous month).
+ *
+ * On DST switch nights a wall-clock time can be skipped (02:xx on the last
+ * Sunday of March) or occur twice (02:xx on the last Sunday of October).
+ * Skipped times are moved forward by the gap and repeated times resolve to
+ * the first occurrence, like Temporal's "compatible" disambiguation.
+ * @param {{year: number, month: number, day: number, hour: number, minute?: number}} time - Month is 1-12
+ * @param {string} [timeZone=STATION_TIME_ZONE]
+ * @returns {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour, minute = 0 }, timeZone = STATION_TIME_ZONE) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // Offsets half a day before and after cover both sides of any switch that night
+    const halfDay = 12 * 60 * 60 * 1000;
+    const withOffsetBefore = wallClock - getTimeZoneOffset(wallClock - halfDay, timeZone);
+    const withOffsetAfter = wallClock - getTimeZoneOffset(wallClock + halfDay, timeZone);
+    const isValid = t => t + getTimeZoneOffset(t, timeZone) === wallClock;
+
+    // Outside switch nights both are the same valid instant. In the gap neither is
+    // valid and the offset before the switch moves the time forward.
+    const timestamp = isValid(withOffsetBefore) || !isValid(withOffsetAfter) ? withOffsetBefore : withOffsetAfter;
+    return new Date(timestamp);
+}
+
+/**
+ * @param {Date} date
+ * @param {string} [timeZone] - Device zone if omitted
+ * @returns {string} Wall-clock time, e.g., "19:05"
+ */
+export function formatClockTime(date, timeZone) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+}
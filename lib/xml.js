@@ -0,0 +1,215 @@
+/**
+ * XML parsing for the weather feeds. Browsers use the built-in DOMParser,
+ * wrapped in the same element shape the parsers read; Node (which has no
+ * DOMParser) falls back to the minimal parser below.
+ *
+ * The fallback supports elements, attributes, text, the predefined and numeric
+ * entities, CDATA, comments, processing instructions and a DOCTYPE without an
+ * internal subset. Namespaces are not resolved: "a:b" is just an element named "a:b".
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Tag name
+ * @property {Object<string, string>} attributes
+ * @property {XmlElement[]} children - Child elements
+ * @property {string} text - Text content of the element and its descendants, like DOM textContent
+ * @property {Element} [node] - Underlying DOM element when parsed with DOMParser
+ */
+
+/** Thrown for input that isn't well-formed XML */
+export class XmlParseError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [position] - Offset in the input where the problem was found, if known
+     */
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at offset ${position}`);
+        this.name = 'XmlParseError';
+        this.position = position;
+    }
+}
+
+const NAME = '[A-Za-z_][\\w:.-]*';
+const OPEN_TAG = new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`, 'y');
+const CLOSE_TAG = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Replaces entity and character references. Unknown references are kept as is.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return ENTITIES[entity] ?? match;
+        const code = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.substring(2), 16)
+            : parseInt(entity.substring(1), 10);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * Wraps a DOM element in the XmlElement shape. Fields are read on access, so
+ * only the elements the parsers look at are converted.
+ * @param {Element} node
+ * @returns {XmlElement}
+ */
+function wrapDomElement(node) {
+    return {
+        node,
+        name: node.tagName,
+        get attributes() {
+            return Object.fromEntries(Array.from(node.attributes, ({ name, value }) => [name, value]));
+        },
+        get children() {
+            return Array.from(node.children, wrapDomElement);
+        },
+        get text() {
+            return node.textContent;
+        }
+    };
+}
+
+/**
+ * Parses with the browser's DOMParser.
+ * @param {string} text
+ * @returns {XmlElement} The root element
+ * @throws {XmlParseError} If the input is not well-formed
+ */
+function parseWithDom(text) {
+    const document = new DOMParser().parseFromString(text, 'application/xml');
+    // Errors are reported in the document: Firefox replaces the root, Chrome and Safari insert it
+    const error = document.getElementsByTagName('parsererror')[0];
+    if (error) throw new XmlParseError(error.textContent.trim());
+    return wrapDomElement(document.documentElement);
+}
+
+/**
+ * Parses an XML document, with DOMParser where available.
+ * @param {string} text
+ * @returns {XmlElement} The root element
+ * @throws {XmlParseError} If the input is not well-formed
+ */
+export function parseXml(text) {
+    return globalThis.DOMParser ? parseWithDom(text) : parseText(text);
+}
+
+/**
+ * Parses an XML document without DOMParser.
+ * @param {string} text
+ * @returns {XmlElement} The root element
+ * @throws {XmlParseError} If the input is not well-formed
+ */
+function parseText(text) {
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    let pos = 0;
+
+    const appendText = (value, at) => {
+        if (stack.length === 1) {
+            if (value.trim()) throw new XmlParseError('Text outside the root element', at);
+            return;
+        }
+        stack[stack.length - 1].text += value;
+    };
+
+    // Skips a construct ending with the given delimiter, returning the offset after it
+    const skipPast = (start, delimiter) => {
+        const end = text.indexOf(delimiter, start);
+        if (end === -1) throw new XmlParseError(`Missing "${delimiter}"`, start);
+        return end + delimiter.length;
+    };
+
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        const textEnd = lt === -1 ? text.length : lt;
+        if (textEnd > pos) appendText(decodeEntities(text.substring(pos, textEnd)), pos);
+        if (lt === -1) break;
+
+        if (text.startsWith('<!--', lt)) {
+            pos = skipPast(lt + 4, '-->');
+        } else if (text.startsWith('<![CDATA[', lt)) {
+            pos = skipPast(lt + 9, ']]>');
+            appendText(text.substring(lt + 9, pos - 3), lt);
+        } else if (text.startsWith('<?', lt)) {
+            pos = skipPast(lt + 2, '?>');
+        } else if (text.startsWith('<!', lt)) {
+            pos = skipPast(lt + 2, '>');
+        } else if (text.startsWith('</', lt)) {
+            CLOSE_TAG.lastIndex = lt;
+            const match = CLOSE_TAG.exec(text);
+            if (!match) throw new XmlParseError('Malformed closing tag', lt);
+            const element = stack.pop();
+            if (element.name !== match[1]) {
+                throw new XmlParseError(`Expected </${element.name}>, found </${match[1]}>`, lt);
+            }
+            // Descendant text counts towards the parent's text, like textContent
+            stack[stack.length - 1].text += element.text;
+            pos = CLOSE_TAG.lastIndex;
+        } else {
+            OPEN_TAG.lastIndex = lt;
+            const match = OPEN_TAG.exec(text);
+            if (!match) throw new XmlParseError('Malformed tag', lt);
+            const [, name, attributeText, selfClosing] = match;
+            const parent = stack[stack.length - 1];
+            if (parent === document && document.children.length > 0) {
+                throw new XmlParseError('More than one root element', lt);
+            }
+
+            const attributes = {};
+            for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE)) {
+                attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted);
+            }
+
+            const element = { name, attributes, children: [], text: '' };
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+            pos = OPEN_TAG.lastIndex;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new XmlParseError(`Unclosed element <${stack[stack.length - 1].name}>`, text.length);
+    }
+    if (document.children.length === 0) throw new XmlParseError('No root element', text.length);
+    return document.children[0];
+}
+
+/**
+ * First descendant element with the given name, in document order.
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement|null}
+ */
+export function findFirst(element, name) {
+    if (element.node) {
+        const found = element.node.getElementsByTagName(name)[0];
+        return found ? wrapDomElement(found) : null;
+    }
+    for (const child of element.children) {
+        if (child.name === name) return child;
+        const found = findFirst(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * All descendant elements with the given name, in document order.
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement[]}
+ */
+export function findAll(element, name) {
+    if (element.node) return Array.from(element.node.getElementsByTagName(name), wrapDomElement);
+    const result = [];
+    for (const child of element.children) {
+        if (child.name === name) result.push(child);
+        result.push(...findAll(child, name));
+    }
+    return result;
+}
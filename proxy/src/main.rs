@@ -7,17 +7,28 @@ use axum::{
 
 #[tokio::main]
 async fn main() {
-    let app = Router::new().route("/dhmz", get(proxy));
+    let app = Router::new()
+        .route("/dhmz", get(|| proxy("https://vrijeme.hr/hrvatska1_n.xml", "text/xml")))
+        .route("/pljusak", get(|| proxy("https://pljusak.com/karta.php", "text/html; charset=utf-8")))
+        .route(
+            "/arso",
+            get(|| {
+                proxy(
+                    "https://meteo.arso.gov.si/uploads/probase/www/observ/surface/text/sl/observationAms_si_latest.xml",
+                    "text/xml",
+                )
+            }),
+        );
     let listener = tokio::net::TcpListener::bind("0.0.0.0:8000").await.unwrap();
     axum::serve(listener, app).await.unwrap();
 }
 
-async fn proxy() -> Response {
-    match reqwest::get("https://vrijeme.hr/hrvatska1_n.xml").await {
+async fn proxy(url: &'static str, content_type: &'static str) -> Response {
+    match reqwest::get(url).await {
         Ok(r) => (
             StatusCode::OK,
             [
-                (header::CONTENT_TYPE, "text/xml"),
+                (header::CONTENT_TYPE, content_type),
                 (header::ACCESS_CONTROL_ALLOW_ORIGIN, "*"),
             ],
             r.bytes().await.unwrap_or_default(),
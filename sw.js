@@ -10,21 +10,39 @@
  *   (ensures updates are visible immediately on reload)
  * - Images: Cache-first, fall back to network
  *   (these change rarely, so prefer speed)
- * - Weather API: Never cached (always need fresh data)
+ * - Weather API: Network-first, keeping the last good response per source in
+ *   WEATHER_CACHE. Offline, that response is served with an X-Weather-Cached-At
+ *   header so the app can tell the user how old the data is.
  *
  * Cache versioning:
  * - CACHE_NAME includes version number
  * - When version changes, old cache is deleted on activation
+ *   (WEATHER_CACHE is not versioned and survives updates)
  * - Bump version whenever deploying changes to cached files
  */
 
-const CACHE_NAME = 'zagreb-temp-v61';
+const CACHE_NAME = 'zagreb-temp-v86';
+
+/** Last successful weather response per source, for offline launches */
+const WEATHER_CACHE = 'zagreb-weather';
+
+/** Header marking a weather response served from WEATHER_CACHE (value: ms timestamp) */
+const CACHED_AT_HEADER = 'X-Weather-Cached-At';
 
 const ASSETS = [
   './',
   './index.html',
   './style.css',
   './app.js',
+  './lib/errors.js',
+  './lib/time.js',
+  './lib/xml.js',
+  './lib/stations.js',
+  './lib/geo.js',
+  './lib/dhmz.js',
+  './lib/quality.js',
+  './lib/pljusak.js',
+  './lib/arso.js',
   './icon.svg',
   './icon-192.png',
   './icon-512.png'
@@ -52,7 +70,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(keys =>
       Promise.all(
         keys
-          .filter(k => k !== CACHE_NAME)  // Keep only current cache
+          .filter(k => k !== CACHE_NAME && k !== WEATHER_CACHE)  // Keep current caches
           .map(k => caches.delete(k))      // Delete all others
       )
     )
@@ -69,9 +87,9 @@ self.addEventListener('activate', event => {
 self.addEventListener('fetch', event => {
   const url = event.request.url;
 
-  // Weather API: always fetch from network, never cache
-  if (url.includes('corsproxy') || url.includes('allorigins') || url.includes('vrijeme.hr') || url.includes('pljusak.com')) {
-    event.respondWith(fetch(event.request));
+  // Weather API: network-first, fall back to the last good response
+  if (isWeatherRequest(url)) {
+    event.respondWith(fetchWeather(event.request));
     return;
   }
 
@@ -100,3 +118,66 @@ self.addEventListener('fetch', event => {
     caches.match(event.request).then(cached => cached || fetch(event.request))
   );
 });
+
+/*
+ * Weather requests go through a public CORS proxy or a self-hosted one
+ * (proxy/src/main.rs, serving /dhmz, /pljusak and /arso on any host).
+ */
+function isWeatherRequest(url) {
+  const { pathname } = new URL(url);
+  return url.includes('corsproxy') || url.includes('allorigins') ||
+    url.includes('vrijeme.hr') || url.includes('pljusak.com') || url.includes('arso.gov.si') ||
+    pathname.endsWith('/dhmz') || pathname.endsWith('/pljusak') || pathname.endsWith('/arso');
+}
+
+/** Data source a weather request is for ('dhmz', 'pljusak' or 'arso') */
+function weatherSource(url) {
+  return ['pljusak', 'arso'].find(name => url.includes(name)) ?? 'dhmz';
+}
+
+/*
+ * Weather requests differ on every call (cache buster), so the last good
+ * response is stored under a fixed key per source and proxy instead of the
+ * URL. Keyed by proxy too, since proxies wrap the payload differently.
+ */
+function weatherCacheKey(url) {
+  return `./weather/${weatherSource(url)}/${new URL(url).host}`;
+}
+
+/*
+ * Public proxies answer 200 with their own error pages too, which the app
+ * rejects. Only a body that looks like the source's payload is worth
+ * replaying offline: XML for DHMZ and ARSO, the podaci array for pljusak.
+ */
+function looksLikePayload(url, text) {
+  if (url.includes('allorigins')) {
+    // allorigins wraps the payload in JSON
+    try {
+      text = JSON.parse(text).contents ?? '';
+    } catch {
+      return false;
+    }
+  }
+  return weatherSource(url) === 'pljusak' ? text.includes('podaci') : text.startsWith('<?xml');
+}
+
+async function fetchWeather(request) {
+  const key = weatherCacheKey(request.url);
+  try {
+    const response = await fetch(request);
+    const body = response.ok ? await response.clone().text() : null;
+    if (body !== null && looksLikePayload(request.url, body)) {
+      // Store a copy stamped with the fetch time (the live response stays unmarked)
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, String(Date.now()));
+      const stamped = new Response(body, { status: response.status, statusText: response.statusText, headers });
+      caches.open(WEATHER_CACHE).then(cache => cache.put(key, stamped));
+    }
+    return response;
+  } catch (error) {
+    // Network failed (offline) - serve the last good response if we have one
+    const cached = await caches.match(key, { cacheName: WEATHER_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
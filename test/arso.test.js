@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ArsoParser } from '../lib/arso.js';
+import { FetchError } from '../lib/errors.js';
+
+const fixture = readFileSync(new URL('./fixtures/observationAms_si_latest.xml', import.meta.url), 'utf8');
+// Shortly after the fixture's latest readings; Kredarica's are 2.5 h older
+const now = new Date('2026-10-19T12:10:00Z');
+// When Kredarica was still reporting
+const earlier = new Date('2026-10-19T11:00:00Z');
+
+test('parses stations from the sample feed', () => {
+    const stations = ArsoParser.parse(fixture, now);
+    assert.deepEqual(stations['Ljubljana'], {
+        name: 'Ljubljana',
+        lat: 46.0655,
+        lon: 14.5124,
+        temperature: 14.1,
+        humidity: 73,
+        pressure: 1018,
+        pressureTrend: null,
+        windDirection: 'SW',
+        windSpeed: 2.1,
+        dewPoint: 9.3,
+        condition: null,
+        conditionKey: 'cool',
+        measurementTime: new Date('2026-10-19T12:00:00Z')
+    });
+});
+
+test('dates each station separately', () => {
+    const stations = ArsoParser.parse(fixture, earlier);
+    assert.equal(stations['Maribor - letališče'].measurementTime.toISOString(), '2026-10-19T12:00:00.000Z');
+    assert.equal(stations['Kredarica'].measurementTime.toISOString(), '2026-10-19T09:30:00.000Z');
+});
+
+test('treats empty values as missing', () => {
+    const stations = ArsoParser.parse(fixture, earlier);
+    assert.equal(stations['Kredarica'].pressure, null);
+    // Calm: no direction
+    assert.equal(stations['Celje'].windDirection, null);
+    assert.equal(stations['Celje'].windSpeed, 0);
+});
+
+test('skips stations without temperature or coordinates', () => {
+    assert.deepEqual(Object.keys(ArsoParser.parse(fixture, earlier)), [
+        'Ljubljana', 'Maribor - letališče', 'Celje', 'Koper', 'Kredarica'
+    ]);
+});
+
+test('filters out stations that stopped reporting', () => {
+    const stations = ArsoParser.parse(fixture, now);
+    assert.equal('Kredarica' in stations, false);
+    assert.equal(Object.keys(stations).length, 4);
+    // Up to two hours old is still shown
+    assert.ok('Kredarica' in ArsoParser.parse(fixture, new Date('2026-10-19T11:30:00Z')));
+});
+
+test('parseTime', () => {
+    assert.equal(ArsoParser.parseTime('01.03.2026 0:30 UTC').toISOString(), '2026-03-01T00:30:00.000Z');
+    assert.equal(ArsoParser.parseTime('19.10.2026 14:00 CEST'), null);
+    assert.equal(ArsoParser.parseTime(null), null);
+});
+
+test('rejects a proxy error page', () => {
+    assert.throws(
+        () => ArsoParser.parse('<html><body>502 Bad Gateway</body></html>'),
+        error => error instanceof FetchError && error.kind === 'proxyHtml'
+    );
+});
+
+test('rejects XML that is not an ARSO observation feed', () => {
+    assert.throws(
+        () => ArsoParser.parse('<?xml version="1.0"?><Hrvatska></Hrvatska>'),
+        error => error instanceof FetchError && error.kind === 'format'
+    );
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { DhmzParser } from '../lib/dhmz.js';
+import { FetchError } from '../lib/errors.js';
+
+const fixture = readFileSync(new URL('./fixtures/hrvatska1_n.xml', import.meta.url), 'utf8');
+
+test('parses stations from the sample feed', () => {
+    const stations = DhmzParser.parse(fixture);
+    assert.deepEqual(stations['Zagreb-Grič'], {
+        name: 'Zagreb-Grič',
+        automatic: false,
+        lat: 45.814,
+        lon: 15.972,
+        temperature: 14.2,
+        humidity: 71,
+        pressure: 1018.3,
+        pressureTrend: -0.4,
+        windDirection: 'SW',
+        windSpeed: 2.1,
+        dewPoint: null,
+        condition: 'pretežno oblačno',
+        measurementTime: new Date('2026-10-19T11:00:00Z')
+    });
+});
+
+test('reads the autom flag', () => {
+    const stations = DhmzParser.parse(fixture);
+    assert.equal(stations['Zagreb-Maksimir'].automatic, true);
+    const xml = fixture.replace('<Grad autom="0">', '<Grad>');
+    assert.equal(DhmzParser.parse(xml)['Zagreb-Grič'].automatic, null);
+});
+
+test('reads the term as Croatian time', () => {
+    // 13h CEST on 19.10.2026
+    const stations = DhmzParser.parse(fixture);
+    assert.equal(stations['Sisak'].measurementTime.toISOString(), '2026-10-19T11:00:00.000Z');
+});
+
+test("treats '-' values as missing", () => {
+    const rijeka = DhmzParser.parse(fixture)['Rijeka'];
+    assert.equal(rijeka.temperature, 17.4);
+    assert.equal(rijeka.humidity, null);
+    assert.equal(rijeka.condition, null);
+});
+
+test("skips stations with '-' temperature", () => {
+    assert.equal(DhmzParser.parse(fixture)['Bilogora'], undefined);
+});
+
+test('skips stations without Podatci', () => {
+    assert.equal(DhmzParser.parse(fixture)['Parg'], undefined);
+});
+
+test('keeps every other station', () => {
+    assert.deepEqual(Object.keys(DhmzParser.parse(fixture)), [
+        'Zagreb-Grič', 'Zagreb-Maksimir', 'Zagreb-Pleso', 'Sisak', 'Gospić', 'Rijeka', 'Split-Marjan', 'Dubrovnik'
+    ]);
+});
+
+test('measurement time is null without DatumTermin', () => {
+    const xml = fixture.replace(/<DatumTermin>[\s\S]*<\/DatumTermin>/, '');
+    assert.equal(DhmzParser.parse(xml)['Sisak'].measurementTime, null);
+});
+
+test('rejects a proxy error page', () => {
+    assert.throws(
+        () => DhmzParser.parse('<!DOCTYPE html><html><body>502 Bad Gateway</body></html>'),
+        error => error instanceof FetchError && error.kind === 'proxyHtml'
+    );
+});
+
+test('rejects truncated XML', () => {
+    assert.throws(
+        () => DhmzParser.parse(fixture.substring(0, fixture.length / 2)),
+        error => error instanceof FetchError && error.kind === 'format'
+    );
+});
+
+test('formats hour precision in the given time zone', () => {
+    const date = new Date('2026-10-19T11:00:00Z');
+    assert.equal(DhmzParser.formatTime(date, 'Europe/Zagreb'), '13h');
+    assert.equal(DhmzParser.formatTime(date, 'UTC'), '11h');
+});
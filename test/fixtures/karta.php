@@ -0,0 +1,25 @@
+<!DOCTYPE html>
+<html lang="hr">
+<head>
+<meta charset="utf-8">
+<title>Karta - Pljusak.com</title>
+</head>
+<body>
+<div id="karta"></div>
+<script>
+var podaci = [
+["lokalna", "Zagreb, Podsused", "45.8120", "15.8290", 130, 1, "https://pljusak.com/zagreb-podsused", "Davis Vantage Pro2", "WeatherLink", "", "13:55:00", "", "14.8", "+0.3", "1018.4", "-0.3", "72", "SSW", "1.2", "3.1", "0.0", "0.0", "8.9", "15.1", "9.8"],
+["wu_05", "Zagreb, Trnje", "45.7990", "15.9760", 120, 2, "", "Davis Vantage Pro2", "WeatherLink", "", "13:58:00", "", "15.3", "+0.2", "1018.2", "-0.4", "68", "SW", "2.0", "4.5", "0.0", "0.0", "9.4", "15.6", "9.5"],
+["dhmz", "Zagreb-Grič", "45.814", "15.972", 157, 3, "https://meteo.hr", "-", "-", "", "13:00:00", "", "14.2", "-", "1018.3", "-0.4", "71", "SW", "2.1", "-", "-", "0.0", "-", "-", "9.0"],
+["lokalna", "Split, Kman", "43.5050", "16.4630", 45, 4, "", "Davis Vantage Pro2", "WeatherLink", "", "14:00:00", "", "20.1", "+0.1", "1016.1", "+0.5", "54", "NE", "7.9", "12.4", "0.0", "0.0", "15.2", "20.4", "10.5"],
+["wu_15", "Rijeka, Trsat", "45.3340", "14.4550", 140, 5, "", "Davis Vantage Pro2", "WeatherLink", "", "13:45:00", "", "17.2", "0.0", "-", "-", "-", "N", "-", "-", "-", "0.0", "12.0", "17.8", "-"],
+["lokalna", "Gospić, Novoselo", "44.5450", "15.3690", 565, 6, "", "Davis Vantage Pro2", "WeatherLink", "", "01:10:00", "", "4.2", "-0.5", "1020.1", "0.0", "95", "C", "0.0", "0.0", "0.0", "0.0", "3.8", "9.2", "3.5"],
+["arso", "Ljubljana", "46.0650", "14.5120", 299, 7, "", "Davis Vantage Pro2", "WeatherLink", "", "13:30:00", "", "12.9", "+0.1", "1019.0", "-0.2", "80", "W", "1.1", "2.4", "0.0", "0.0", "7.5", "13.2", "9.5"],
+["lokalna", "Osijek, Retfala", "45.5600", "18.6500", 90, 8, "", "Davis Vantage Pro2", "WeatherLink", "", "13:50:00", "", "-", "-", "1017.9", "-0.1", "70", "E", "1.5", "2.0", "0.0", "0.0", "-", "-", "-"],
+["lokalna", "Varaždin, Biškupec", "", "", 170, 9, "", "Davis Vantage Pro2", "WeatherLink", "", "13:52:00", "", "13.1", "+0.2", "1018.6", "-0.2", "74", "SW", "1.0", "2.2", "0.0", "0.0", "7.9", "13.4", "8.6"],
+["wu_05", "Pula, Veruda", "44.8560", "13.8400", 25, 10, "", "Davis Vantage Pro2", "WeatherLink", "", "", "", "18.4", "+0.2", "1016.9", "+0.2", "62", "NW", "3.2", "5.0", "0.0", "0.0", "13.0", "18.9", "11.0"]
+];
+var zoom = 7;
+</script>
+</body>
+</html>
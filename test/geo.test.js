@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { haversineDistance, parseWindDirection, toCompassPoint, findNearestStation } from '../lib/geo.js';
+
+const stations = {
+    'Zagreb-Grič': { lat: 45.814, lon: 15.972 },
+    'Zagreb-Maksimir': { lat: 45.822, lon: 16.034 },
+    'Split-Marjan': { lat: 43.508, lon: 16.426 },
+    'Bez koordinata': { lat: NaN, lon: NaN }
+};
+
+test('haversineDistance', () => {
+    assert.equal(haversineDistance(45.814, 15.972, 45.814, 15.972), 0);
+    // Zagreb to Split is about 260 km as the crow flies
+    const distance = haversineDistance(45.814, 15.972, 43.508, 16.426);
+    assert.ok(distance > 255 && distance < 265, distance);
+    // One degree of latitude
+    assert.ok(Math.abs(haversineDistance(45, 16, 46, 16) - 111.19) < 0.01);
+});
+
+test('findNearestStation', () => {
+    assert.deepEqual(findNearestStation(stations, 45.814, 15.972), { name: 'Zagreb-Grič', distance: 0 });
+    assert.equal(findNearestStation(stations, 45.83, 16.1).name, 'Zagreb-Maksimir');
+    assert.equal(findNearestStation(stations, 42.6, 18.1).name, 'Split-Marjan');
+});
+
+test('findNearestStation without usable stations', () => {
+    assert.equal(findNearestStation({}, 45.8, 16), null);
+    assert.equal(findNearestStation({ 'Bez koordinata': stations['Bez koordinata'] }, 45.8, 16), null);
+});
+
+test('parseWindDirection', () => {
+    assert.equal(parseWindDirection('N'), 0);
+    assert.equal(parseWindDirection('SW'), 225);
+    assert.equal(parseWindDirection('ssw'), 202.5);
+    assert.equal(parseWindDirection('370'), 10);
+    assert.equal(parseWindDirection('C'), null);
+    assert.equal(parseWindDirection('-'), null);
+    assert.equal(parseWindDirection(null), null);
+});
+
+test('toCompassPoint', () => {
+    assert.equal(toCompassPoint(0), 'N');
+    assert.equal(toCompassPoint(225), 'SW');
+    assert.equal(toCompassPoint(200), 'SSW');
+    assert.equal(toCompassPoint(350), 'N');
+    assert.equal(toCompassPoint(-90), 'W');
+    assert.equal(toCompassPoint(parseWindDirection('WNW')), 'WNW');
+});
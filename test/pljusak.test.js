@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { PljusakParser } from '../lib/pljusak.js';
+import { FetchError } from '../lib/errors.js';
+
+const fixture = readFileSync(new URL('./fixtures/karta.php', import.meta.url), 'utf8');
+
+/** 14:00 in Zagreb, shortly after the sample page's latest reading */
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+test('parses stations from the sample page', () => {
+    const stations = PljusakParser.parse(fixture, NOW);
+    assert.deepEqual(stations['Zagreb, Podsused'], {
+        name: 'Zagreb, Podsused',
+        stationType: 'lokalna',
+        lat: 45.812,
+        lon: 15.829,
+        temperature: 14.8,
+        humidity: 72,
+        pressure: 1018.4,
+        pressureTrend: -0.3,
+        windDirection: 'SSW',
+        windSpeed: 1.2,
+        dewPoint: 9.8,
+        condition: null,
+        conditionKey: 'cool',
+        measurementTime: new Date('2026-10-19T11:55:00Z'),
+        temperatureTrend: 0.3,
+        temperatureMin: 8.9,
+        temperatureMax: 15.1,
+        windGust: 3.1,
+        precipitationRate: 0,
+        precipitationToday: 0,
+        elevation: 130,
+        device: 'Davis Vantage Pro2',
+        software: 'WeatherLink',
+        url: 'https://pljusak.com/zagreb-podsused',
+        webcamUrl: null,
+        // Too few stations around to judge by
+        suspect: []
+    });
+});
+
+test("treats '-' text columns as missing", () => {
+    const relayed = PljusakParser.parse(fixture, NOW)['Zagreb-Grič'];
+    assert.equal(relayed.device, null);
+    assert.equal(relayed.software, null);
+    assert.equal(relayed.precipitationRate, null);
+    assert.equal(relayed.precipitationToday, 0);
+    assert.equal(relayed.temperatureMin, null);
+});
+
+test("treats '-' values as missing", () => {
+    const rijeka = PljusakParser.parse(fixture, NOW)['Rijeka, Trsat'];
+    assert.equal(rijeka.temperature, 17.2);
+    assert.equal(rijeka.pressure, null);
+    assert.equal(rijeka.humidity, null);
+    assert.equal(rijeka.windSpeed, null);
+    assert.equal(rijeka.dewPoint, null);
+});
+
+test("skips stations with '-' temperature", () => {
+    assert.equal(PljusakParser.parse(fixture, NOW)['Osijek, Retfala'], undefined);
+});
+
+test('skips stations without coordinates or time', () => {
+    const stations = PljusakParser.parse(fixture, NOW);
+    assert.equal(stations['Varaždin, Biškupec'], undefined);
+    assert.equal(stations['Pula, Veruda'], undefined);
+});
+
+test('skips stations older than 12 hours', () => {
+    // 01:10 is almost 13 hours before NOW
+    assert.equal(PljusakParser.parse(fixture, NOW)['Gospić, Novoselo'], undefined);
+    // ...but was fresh in the morning
+    const morning = new Date('2026-10-19T08:00:00Z');
+    assert.ok(PljusakParser.parse(fixture, morning)['Gospić, Novoselo']);
+});
+
+test('keeps every other station', () => {
+    assert.deepEqual(Object.keys(PljusakParser.parse(fixture, NOW)), [
+        'Zagreb, Podsused', 'Zagreb, Trnje', 'Zagreb-Grič', 'Split, Kman', 'Rijeka, Trsat', 'Ljubljana'
+    ]);
+});
+
+test('rejects a proxy error page', () => {
+    assert.throws(
+        () => PljusakParser.parse('<html><body>502 Bad Gateway</body></html>', NOW),
+        error => error instanceof FetchError && error.kind === 'proxyHtml'
+    );
+});
+
+test('reports a changed pljusak.com page as a format error', () => {
+    assert.throws(
+        () => PljusakParser.parse(fixture.replace('var podaci', 'var stanice'), NOW),
+        error => error instanceof FetchError && error.kind === 'format'
+    );
+    assert.throws(
+        () => PljusakParser.parse(fixture.replace('"Zagreb, Trnje",', '"Zagreb, Trnje",,'), NOW),
+        error => error instanceof FetchError && error.kind === 'format'
+    );
+});
+
+test('parseTime reads Croatian time', () => {
+    assert.equal(PljusakParser.parseTime('13:05:00', NOW).toISOString(), '2026-10-19T11:05:00.000Z');
+    assert.equal(PljusakParser.parseTime('9:30', NOW).toISOString(), '2026-10-19T07:30:00.000Z');
+});
+
+test('parseTime rolls over to yesterday after midnight', () => {
+    // 00:10 in Zagreb on the 20th
+    const now = new Date('2026-10-19T22:10:00Z');
+    assert.equal(PljusakParser.parseTime('23:55:00', now).toISOString(), '2026-10-19T21:55:00.000Z');
+    assert.equal(PljusakParser.parseTime('00:05:00', now).toISOString(), '2026-10-19T22:05:00.000Z');
+});
+
+test('parseTime rolls over across a month and a DST switch', () => {
+    // 00:30 CET on Monday 26.10.2026, the night after the switch back from CEST
+    const now = new Date('2026-10-25T23:30:00Z');
+    assert.equal(PljusakParser.parseTime('23:50:00', now).toISOString(), '2026-10-25T22:50:00.000Z');
+    // 00:30 CEST on 1.4.2026
+    const april = new Date('2026-03-31T22:30:00Z');
+    assert.equal(PljusakParser.parseTime('23:45', april).toISOString(), '2026-03-31T21:45:00.000Z');
+});
+
+test('parseTime rejects malformed times', () => {
+    assert.equal(PljusakParser.parseTime('', NOW), null);
+    assert.equal(PljusakParser.parseTime(null, NOW), null);
+    assert.equal(PljusakParser.parseTime('-', NOW), null);
+    assert.equal(PljusakParser.parseTime('13.05', NOW), null);
+});
+
+test('generates conditions from measured values', () => {
+    assert.equal(PljusakParser.generateDescription(2, 98, 0.5, 1.5), 'fog');
+    assert.equal(PljusakParser.generateDescription(-1, 98, null, -1.5), 'freezingFog');
+    assert.equal(PljusakParser.generateDescription(31, 80, 1, 27), 'sultry');
+    assert.equal(PljusakParser.generateDescription(20.1, 54, 7.9, 10.5), 'pleasantWindy');
+    assert.equal(PljusakParser.generateDescription(-12, null, 12, null), 'bitterColdWindy');
+});
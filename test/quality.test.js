@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { flagSuspectReadings, withoutSuspect } from '../lib/quality.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = hours => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+
+/**
+ * Amateur stations around Zagreb, a few km apart, all at 120 m and 15 °C / 70%,
+ * measured at NOW.
+ * @param {Object<string, Object>} overrides - Changed fields per station name
+ */
+function zagreb(overrides = {}) {
+    const stations = {};
+    const names = ['Podsused', 'Trnje', 'Sesvete', 'Dubrava', 'Jarun', 'Maksimir'];
+    names.forEach((name, i) => {
+        stations[name] = {
+            name,
+            stationType: 'lokalna',
+            lat: 45.80 + 0.01 * i,
+            lon: 15.85 + 0.04 * i,
+            elevation: 120,
+            temperature: 15 + 0.2 * (i % 2),
+            humidity: 70 + i,
+            measurementTime: NOW,
+            ...overrides[name]
+        };
+    });
+    return stations;
+}
+
+test('leaves consistent stations alone', () => {
+    const stations = flagSuspectReadings(zagreb());
+    for (const station of Object.values(stations)) {
+        assert.deepEqual(station.suspect, []);
+    }
+});
+
+test('flags a sensor in the sun', () => {
+    const stations = flagSuspectReadings(zagreb({ Trnje: { temperature: 24 } }));
+    assert.deepEqual(stations['Trnje'].suspect.map(s => s.reason), ['temperatureHigh']);
+    assert.ok(Math.abs(stations['Trnje'].suspect[0].deviation - 9) < 0.3);
+    // One outlier doesn't taint its neighbours
+    assert.deepEqual(stations['Podsused'].suspect, []);
+});
+
+test('flags a dead humidity probe', () => {
+    const stations = flagSuspectReadings(zagreb({ Sesvete: { humidity: 3 } }));
+    assert.deepEqual(stations['Sesvete'].suspect.map(s => s.reason), ['humidity']);
+});
+
+test('adjusts neighbour temperatures for elevation', () => {
+    // 1000 m higher is about 6.5 °C colder
+    const stations = flagSuspectReadings(zagreb({ Jarun: { elevation: 1120, temperature: 8.5 } }));
+    assert.deepEqual(stations['Jarun'].suspect, []);
+    // ...but not at the same height
+    const flat = flagSuspectReadings(zagreb({ Jarun: { temperature: 8.5 } }));
+    assert.deepEqual(flat['Jarun'].suspect.map(s => s.reason), ['temperatureLow']);
+});
+
+test('needs enough nearby neighbours to judge', () => {
+    const stations = flagSuspectReadings({
+        ...zagreb({ Trnje: { temperature: 24 } }),
+        // Split is far from everything
+        Split: { name: 'Split', lat: 43.5, lon: 16.44, elevation: 20, temperature: 35, humidity: 10 }
+    });
+    assert.deepEqual(stations['Split'].suspect, []);
+    const few = zagreb({ Trnje: { temperature: 24 } });
+    delete few['Sesvete'];
+    delete few['Dubrava'];
+    delete few['Jarun'];
+    assert.deepEqual(flagSuspectReadings(few)['Trnje'].suspect, []);
+});
+
+test('checks Weather Underground stations too', () => {
+    const stations = flagSuspectReadings(zagreb({ Trnje: { stationType: 'wu_05', temperature: 24 } }));
+    assert.deepEqual(stations['Trnje'].suspect.map(s => s.reason), ['temperatureHigh']);
+});
+
+test('never flags official stations, but compares with them', () => {
+    // A relayed DHMZ station that disagrees with the amateurs around it
+    const stations = flagSuspectReadings(zagreb({ Trnje: { stationType: 'dhmz', temperature: 24 } }));
+    assert.deepEqual(stations['Trnje'].suspect, []);
+    // Official neighbours count towards judging an amateur station
+    const official = { stationType: 'dhmz' };
+    const mixed = flagSuspectReadings(zagreb({
+        Trnje: { temperature: 24 },
+        Podsused: official,
+        Sesvete: official,
+        Dubrava: official,
+        Jarun: official,
+        Maksimir: official
+    }));
+    assert.deepEqual(mixed['Trnje'].suspect.map(s => s.reason), ['temperatureHigh']);
+});
+
+test('ignores neighbours measured at another time', () => {
+    // Yesterday afternoon's reading, still listed by pljusak
+    const stations = flagSuspectReadings(zagreb({ Podsused: { temperature: 26, measurementTime: hoursAgo(11) } }));
+    assert.deepEqual(stations['Podsused'].suspect, []);
+    assert.deepEqual(stations['Trnje'].suspect, []);
+    // Readings a few minutes apart still compare
+    const recent = flagSuspectReadings(zagreb({ Podsused: { temperature: 26, measurementTime: hoursAgo(0.25) } }));
+    assert.deepEqual(recent['Podsused'].suspect.map(s => s.reason), ['temperatureHigh']);
+});
+
+test('needs enough recent neighbours to judge', () => {
+    const stale = { measurementTime: hoursAgo(3) };
+    const stations = flagSuspectReadings(zagreb({
+        Trnje: { temperature: 24 },
+        Sesvete: stale,
+        Dubrava: stale,
+        Jarun: stale
+    }));
+    assert.deepEqual(stations['Trnje'].suspect, []);
+    // Without a measurement time there's nothing to compare with
+    const untimed = flagSuspectReadings(zagreb({ Trnje: { temperature: 24, measurementTime: null } }));
+    assert.deepEqual(untimed['Trnje'].suspect, []);
+});
+
+test('withoutSuspect drops flagged stations', () => {
+    const stations = flagSuspectReadings(zagreb({ Trnje: { temperature: 24 } }));
+    assert.equal('Trnje' in withoutSuspect(stations), false);
+    assert.equal(Object.keys(withoutSuspect(stations)).length, 5);
+    // Stations never checked count as fine
+    assert.deepEqual(Object.keys(withoutSuspect({ Sisak: { name: 'Sisak' } })), ['Sisak']);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseStationName, getStationClass, filterStations } from '../lib/stations.js';
+
+const dhmz = { nameSeparator: '-', cityPrefixes: ['Zagreb', 'Split'] };
+const pljusak = { nameSeparator: ', ', cityPrefixes: null };
+
+test('splits city stations', () => {
+    assert.deepEqual(parseStationName('Zagreb-Grič', dhmz), { title: 'Zagreb', subtitle: 'Grič' });
+    assert.deepEqual(parseStationName('Zagreb, Podsused', pljusak), { title: 'Zagreb', subtitle: 'Podsused' });
+});
+
+test('keeps names outside the city whitelist whole', () => {
+    assert.deepEqual(parseStationName('Bilogora-Bjelovar', dhmz), { title: 'Bilogora-Bjelovar', subtitle: null });
+});
+
+test('keeps names without a separator whole', () => {
+    assert.deepEqual(parseStationName('Sisak', dhmz), { title: 'Sisak', subtitle: null });
+    assert.deepEqual(parseStationName('Zagreb-Grič', pljusak), { title: 'Zagreb-Grič', subtitle: null });
+});
+
+test('ignores a leading separator', () => {
+    assert.deepEqual(parseStationName(', Podsused', pljusak), { title: ', Podsused', subtitle: null });
+});
+
+test('classifies stations by network and automatic flag', () => {
+    assert.equal(getStationClass({ automatic: true }), 'automatic');
+    assert.equal(getStationClass({ automatic: false }), 'manual');
+    assert.equal(getStationClass({ stationType: 'lokalna' }), 'amateur');
+    assert.equal(getStationClass({ stationType: 'wu_15' }), 'wunderground');
+    assert.equal(getStationClass({ stationType: 'arso' }), 'relayed');
+    assert.equal(getStationClass({ stationType: 'meteoclimatic' }), null);
+    assert.equal(getStationClass({ name: 'Ljubljana' }), null);
+});
+
+test('filters out hidden station classes', () => {
+    const stations = {
+        'Zagreb, Trnje': { stationType: 'wu_05' },
+        'Zagreb, Podsused': { stationType: 'lokalna' },
+        'Ljubljana': {}
+    };
+    assert.equal(filterStations(stations, []), stations);
+    assert.deepEqual(Object.keys(filterStations(stations, ['wunderground'])), ['Zagreb, Podsused', 'Ljubljana']);
+});
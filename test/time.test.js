@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getTimeZoneOffset, zonedTimeToDate } from '../lib/time.js';
+
+const HOUR = 60 * 60 * 1000;
+const utc = iso => new Date(iso).getTime();
+
+test('getTimeZoneOffset', () => {
+    assert.equal(getTimeZoneOffset(utc('2026-01-15T12:00:00Z'), 'Europe/Zagreb'), HOUR);
+    assert.equal(getTimeZoneOffset(utc('2026-07-15T12:00:00Z'), 'Europe/Zagreb'), 2 * HOUR);
+    assert.equal(getTimeZoneOffset(utc('2026-07-15T12:00:00Z'), 'UTC'), 0);
+    // Milliseconds don't leak into the offset
+    assert.equal(getTimeZoneOffset(utc('2026-07-15T12:00:00.999Z'), 'Europe/Zagreb'), 2 * HOUR);
+});
+
+test('getTimeZoneOffset at the DST switches', () => {
+    // 29 March 2026: clocks go from 02:00 CET to 03:00 CEST (01:00 UTC)
+    assert.equal(getTimeZoneOffset(utc('2026-03-29T00:59:59Z'), 'Europe/Zagreb'), HOUR);
+    assert.equal(getTimeZoneOffset(utc('2026-03-29T01:00:00Z'), 'Europe/Zagreb'), 2 * HOUR);
+    // 25 October 2026: clocks go from 03:00 CEST back to 02:00 CET (01:00 UTC)
+    assert.equal(getTimeZoneOffset(utc('2026-10-25T00:59:59Z'), 'Europe/Zagreb'), 2 * HOUR);
+    assert.equal(getTimeZoneOffset(utc('2026-10-25T01:00:00Z'), 'Europe/Zagreb'), HOUR);
+});
+
+test('zonedTimeToDate', () => {
+    assert.equal(zonedTimeToDate({ year: 2026, month: 1, day: 15, hour: 12 }).toISOString(), '2026-01-15T11:00:00.000Z');
+    assert.equal(zonedTimeToDate({ year: 2026, month: 7, day: 15, hour: 12, minute: 30 }).toISOString(),
+        '2026-07-15T10:30:00.000Z');
+    assert.equal(zonedTimeToDate({ year: 2026, month: 7, day: 15, hour: 12 }, 'UTC').toISOString(),
+        '2026-07-15T12:00:00.000Z');
+    // Day 0 rolls back to the last day of the previous month
+    assert.equal(zonedTimeToDate({ year: 2026, month: 3, day: 0, hour: 12 }).toISOString(), '2026-02-28T11:00:00.000Z');
+});
+
+test('zonedTimeToDate skips the missing hour in March', () => {
+    const zagreb = (hour, minute) => zonedTimeToDate({ year: 2026, month: 3, day: 29, hour, minute }).toISOString();
+    assert.equal(zagreb(1, 59), '2026-03-29T00:59:00.000Z');
+    // 02:xx doesn't exist and is moved forward by the gap, to 03:xx CEST
+    assert.equal(zagreb(2, 0), '2026-03-29T01:00:00.000Z');
+    assert.equal(zagreb(2, 30), '2026-03-29T01:30:00.000Z');
+    assert.equal(zagreb(3, 0), '2026-03-29T01:00:00.000Z');
+    assert.equal(zagreb(3, 30), '2026-03-29T01:30:00.000Z');
+});
+
+test('zonedTimeToDate picks the first of the repeated hour in October', () => {
+    const zagreb = (hour, minute) => zonedTimeToDate({ year: 2026, month: 10, day: 25, hour, minute }).toISOString();
+    assert.equal(zagreb(1, 59), '2026-10-24T23:59:00.000Z');
+    // 02:xx happens in CEST and again in CET; the first (CEST) one wins
+    assert.equal(zagreb(2, 0), '2026-10-25T00:00:00.000Z');
+    assert.equal(zagreb(2, 30), '2026-10-25T00:30:00.000Z');
+    assert.equal(zagreb(3, 0), '2026-10-25T02:00:00.000Z');
+});
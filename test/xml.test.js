@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseXml, findFirst, findAll, XmlParseError } from '../lib/xml.js';
+
+test('parses elements, attributes and text', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<a x="1" y=\'two\'><b>one</b><b/><c>three</c></a>');
+    assert.equal(root.name, 'a');
+    assert.deepEqual(root.attributes, { x: '1', y: 'two' });
+    assert.deepEqual(root.children.map(child => child.name), ['b', 'b', 'c']);
+    assert.equal(root.text, 'onethree');
+});
+
+test('decodes entities and keeps CDATA as is', () => {
+    const root = parseXml('<a t="&quot;&#65;&quot;">&lt;&amp;&gt; &#x10D;<![CDATA[<&amp;>]]></a>');
+    assert.equal(root.attributes.t, '"A"');
+    assert.equal(root.text, '<&> č<&amp;>');
+});
+
+test('skips comments, processing instructions and DOCTYPE', () => {
+    const root = parseXml('<!DOCTYPE a><!-- <b> --><a><?pi x?>text<!-- </a> --></a>');
+    assert.equal(root.text, 'text');
+    assert.deepEqual(root.children, []);
+});
+
+test('allows ">" in attribute values', () => {
+    assert.equal(parseXml('<a t="1 > 0"/>').attributes.t, '1 > 0');
+});
+
+test('finds descendants in document order', () => {
+    const root = parseXml('<a><b id="1"><b id="2"/></b><c><b id="3"/></c></a>');
+    assert.equal(findFirst(root, 'b').attributes.id, '1');
+    assert.deepEqual(findAll(root, 'b').map(b => b.attributes.id), ['1', '2', '3']);
+    assert.equal(findFirst(root, 'd'), null);
+});
+
+test('rejects malformed input', () => {
+    for (const text of ['', 'text', '<a>', '<a></b>', '<a><b></a></b>', '<a/><b/>', '<a x=1/>', '<a><!-- </a>', '</a>']) {
+        assert.throws(() => parseXml(text), XmlParseError, text);
+    }
+});